@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const { readStates, findByContainer } = require("./states");
+
+const log = createLogger();
+
+const auditFilePath = path.join(__dirname, "../storage/audit.log");
+
+// Requests that change something, by method and path. `instance` says which capture
+// (or body field) names the instance; container IDs are mapped to their volume.
+const routes = [
+  { method: "POST", pattern: /^\/instances\/create$/, action: "instance.deploy", instance: (req) => req.body && req.body.Id },
+  { method: "POST", pattern: /^\/instances\/redeploy\/[^/]+\/([^/]+)$/, action: "instance.redeploy" },
+  { method: "POST", pattern: /^\/instances\/reinstall\/[^/]+\/([^/]+)$/, action: "instance.reinstall" },
+  { method: "PUT", pattern: /^\/instances\/edit\/([^/]+)$/, action: "instance.edit" },
+  { method: "GET", pattern: /^\/instances\/purge\/all$/, action: "instance.purge" },
+  { method: "DELETE", pattern: /^\/instances\/([^/]+)$/, action: "instance.delete" },
+  { method: "GET", pattern: /^\/instances\/([^/]+)\/delete$/, action: "instance.delete" },
+  { method: "POST", pattern: /^\/instances\/([^/]+)\/(start|stop|restart)$/, action: (match) => `power.${match[2]}` },
+  { method: "POST", pattern: /^\/instances\/([^/]+)\/runcode$/, action: "power.command" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/files\/create\//, action: "files.create" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/folders\/create\//, action: "files.mkdir" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/files\/edit\//, action: "files.write" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/files\/rename\//, action: "files.rename" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/files\/upload$/, action: "files.upload" },
+  { method: "POST", pattern: /^\/fs\/([^/]+)\/files\/pull$/, action: "files.pull" },
+  { method: "DELETE", pattern: /^\/fs\/([^/]+)\/files\/delete\//, action: "files.delete" },
+  { method: "POST", pattern: /^\/archive\/([^/]+)\/archives\/[^/]+\/create$/, action: "backups.create" },
+  { method: "POST", pattern: /^\/archive\/([^/]+)\/archives\/delete\//, action: "backups.delete" },
+  { method: "POST", pattern: /^\/archive\/([^/]+)\/archives\/rollback\//, action: "backups.rollback" },
+  { method: "POST", pattern: /^\/database\/create\//, action: "database.create" },
+  { method: "DELETE", pattern: /^\/database\/delete\//, action: "database.delete" },
+  { method: "POST", pattern: /^\/node\/rotate-key$/, action: "node.rotate-key" },
+  { method: "POST", pattern: /^\/node\/reload$/, action: "node.reload" },
+];
+
+// Appends are chained so concurrent entries never interleave
+let writing = Promise.resolve();
+
+// audit.log, then the rotated audit.log.1 (newest) ... audit.log.N
+const rotatedPath = (index) => (index === 0 ? auditFilePath : `${auditFilePath}.${index}`);
+
+const ignoreMissing = (err) => {
+  if (err.code !== "ENOENT") throw err;
+};
+
+// Rotates the log when `bytes` more would take it past config.audit.rotateBytes
+const rotateIfFull = async (bytes) => {
+  const stats = await fs.promises.stat(auditFilePath).catch(ignoreMissing);
+  if (!stats || stats.size === 0 || stats.size + bytes <= config.audit.rotateBytes) return;
+  await fs.promises.unlink(rotatedPath(config.audit.rotateFiles)).catch(ignoreMissing);
+  for (let i = config.audit.rotateFiles - 1; i >= 0; i--) {
+    await fs.promises.rename(rotatedPath(i), rotatedPath(i + 1)).catch(ignoreMissing);
+  }
+};
+
+/**
+ * Maps a volume ID or (abbreviated) container ID to the volume ID of the instance.
+ * @param {string} id - The ID.
+ * @returns {Promise<string>} The volume ID, or `id` when no instance is known for it.
+ */
+const resolveInstance = async (id) => {
+  if (!id || (await readStates())[id]) return id;
+  const entry = await findByContainer(id);
+  return entry ? entry.volumeId : id;
+};
+
+/**
+ * Appends an entry to the audit log.
+ * @param {object} entry
+ * @param {string} entry.action - What happened, e.g. "power.start" or "files.delete".
+ * @param {string} [entry.instance] - Volume ID of the instance it happened to.
+ * @param {string} [entry.actor] - Who did it: "node" (node key), "token:<instance>" or
+ *   "ftp:<user>"; the service ("http", "ws", "ftp") for login bans.
+ * @param {string} [entry.ip] - Source address.
+ * @param {object} [entry.details] - Anything else worth keeping.
+ * @returns {Promise<void>}
+ */
+function record({ action, instance = null, actor = null, ip = null, details = {} }) {
+  const address = ip && ip.replace(/^::ffff:/, "");
+  const line = JSON.stringify({ at: new Date().toISOString(), action, instance, actor, ip: address, ...details }) + "\n";
+  writing = writing
+    .then(() => rotateIfFull(Buffer.byteLength(line)))
+    .then(() => fs.promises.appendFile(auditFilePath, line))
+    .catch((err) => log.error("Failed to write audit log:", err.message));
+  return writing;
+}
+
+// The last `limit` entries of one file that pass `filter`, oldest first
+const readMatches = async (file, filter, limit) => {
+  const matches = [];
+  const input = fs.createReadStream(file, "utf8");
+  const opened = new Promise((resolve, reject) => input.once("open", resolve).once("error", reject));
+  try {
+    await opened;
+  } catch (err) {
+    ignoreMissing(err);
+    return matches;
+  }
+
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      continue; // a line cut short by a crash
+    }
+    if (!filter(entry)) continue;
+    matches.push(entry);
+    if (matches.length > limit) matches.shift();
+  }
+  return matches;
+};
+
+/**
+ * Reads audit entries, newest first. The current log is read before the rotated ones,
+ * which are only opened while fewer than `limit` entries were found.
+ * @param {object} [filters]
+ * @param {string} [filters.instance] - Only entries of this instance.
+ * @param {string} [filters.action] - Only this action, or actions under it ("files" matches "files.delete").
+ * @param {Date} [filters.since] - Only entries at or after this time.
+ * @param {Date} [filters.until] - Only entries before this time.
+ * @param {number} [filters.limit=100] - At most this many entries.
+ * @returns {Promise<object[]>}
+ */
+async function query({ instance, action, since, until, limit = 100 } = {}) {
+  const filter = (entry) => {
+    const at = new Date(entry.at);
+    if (instance && entry.instance !== instance) return false;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+    if (since && at < since) return false;
+    if (until && at >= until) return false;
+    return true;
+  };
+
+  const entries = [];
+  for (let i = 0; i <= config.audit.rotateFiles && entries.length < limit; i++) {
+    const matches = await readMatches(rotatedPath(i), filter, limit - entries.length);
+    entries.push(...matches.reverse());
+  }
+  return entries;
+}
+
+const actorOf = (req) => (req.token ? `token:${req.token.instance}` : "node");
+
+/**
+ * Express middleware recording the requests listed in `routes` once they are answered,
+ * with the resulting status code.
+ */
+const middleware = (req, res, next) => {
+  const route = routes.find(({ method, pattern }) => method === req.method && pattern.test(req.path));
+  if (!route) return next();
+
+  const requestPath = req.path;
+  const match = requestPath.match(route.pattern);
+  const id = route.instance ? route.instance(req) : match[1] && decodeURIComponent(match[1]);
+  // Resolved up front, deleting an instance removes what maps its container to it
+  const instance = resolveInstance(id).catch(() => id);
+  res.on("finish", async () => {
+    record({
+      action: typeof route.action === "function" ? route.action(match) : route.action,
+      instance: await instance,
+      actor: actorOf(req),
+      ip: req.ip,
+      details: { method: req.method, path: requestPath, status: res.statusCode },
+    });
+  });
+  next();
+};
+
+module.exports = { record, query, resolveInstance, middleware };
@@ -0,0 +1,206 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { config, configPath, fromEnvironment } = require("./config");
+const { createLogger } = require("./logger");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+const { findByContainer } = require("./states");
+const rateLimiter = require("./rateLimiter");
+
+const log = createLogger();
+
+// Actions a token can grant on its instance. "shell" runs commands in the container
+// outside the server process (WebSocket only, and only where console.allowShell is set).
+const ACTIONS = ["console", "power", "files", "backups", "shell"];
+
+// Routes a token may reach. Every captured ID must belong to the token's instance;
+// anything not listed here (deploying, deleting, node stats, ...) needs the node key.
+const scopes = [
+  { pattern: /^\/fs\/([^/]+)\//, action: "files" },
+  { pattern: /^\/archive\/([^/]+)\/archives\/([^/]+)\/create$/, action: "backups" },
+  { pattern: /^\/archive\/([^/]+)\/archives\/rollback\/([^/]+)\/[^/]+$/, action: "backups" },
+  { pattern: /^\/archive\/([^/]+)\//, action: "backups" },
+  { pattern: /^\/instances\/([^/]+)\/(?:start|stop|restart)$/, action: "power", methods: ["POST"] },
+  {
+    pattern: /^\/instances\/([^/]+)(?:\/(?:logs|logs\/download|crashes|install-log|ports))?$/,
+    action: "console",
+    methods: ["GET"],
+  },
+];
+
+// Paths under /instances/ that name an operation rather than an instance
+const reserved = ["create", "redeploy", "reinstall", "edit", "purge"];
+
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+const hmac = (data, key) => crypto.createHmac("sha256", key).update(data).digest();
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// The key replaced by the last rotation, accepted until `until` so the panel and open
+// sessions can switch over. Kept in memory only: a restart ends the grace period.
+let previous = null;
+
+const validKeys = () => {
+  const keys = [String(config.key)];
+  if (previous && previous.until > Date.now()) keys.push(previous.key);
+  return keys;
+};
+
+/**
+ * Checks a secret against the node key (or the previous one during its grace period).
+ * @param {string} value - The presented secret.
+ * @returns {boolean}
+ */
+const isNodeKey = (value) =>
+  typeof value === "string" && validKeys().some((key) => safeEqual(Buffer.from(value), Buffer.from(key)));
+
+/**
+ * Replaces the node key without a restart. The new key has to be signed with the
+ * current one (hex HMAC-SHA256 of the new key), is written to config.json and used at
+ * once; the current key stays valid for `auth.keyGrace` seconds.
+ * @param {string} key - The new key, at least 32 characters.
+ * @param {string} signature - Hex HMAC-SHA256 of `key`, keyed with the current key.
+ * @returns {Promise<{graceUntil: string}>} When the previous key stops working.
+ * @throws {AuthError} 400 for an unusable key, 403 for a wrong signature, 409 when the key
+ *   comes from the environment.
+ */
+async function rotateKey(key, signature) {
+  const current = String(config.key);
+  if (typeof key !== "string" || key.length < 32) {
+    throw new AuthError("The new key must be a string of at least 32 characters", 400);
+  }
+  if (key === current) throw new AuthError("The new key must differ from the current key", 400);
+  // config.json would be ignored on the next start or reload
+  if (fromEnvironment("key")) throw new AuthError("The node key is set by KSWINGS_KEY and cannot be rotated", 409);
+  if (typeof signature !== "string" || !safeEqual(Buffer.from(signature, "hex"), hmac(key, current))) {
+    throw new AuthError("The new key is not signed with the current key", 403);
+  }
+
+  const stored = JSON.parse(await fs.readFile(configPath, "utf8"));
+  stored.key = key;
+  await writeFileAtomic(configPath, JSON.stringify(stored, null, 2) + "\n");
+
+  previous = { key: current, until: Date.now() + config.auth.keyGrace * 1000 };
+  config.key = key;
+  log.info(`[KS Wings] Node key rotated, the previous key is accepted for ${config.auth.keyGrace}s`);
+  return { graceUntil: new Date(previous.until).toISOString() };
+}
+
+/**
+ * Verifies a token and returns its claims.
+ * @param {string} token - The token.
+ * @returns {{instance: string, container?: string, actions: string[], exp: number}}
+ * @throws {AuthError} When the token is malformed, forged or expired.
+ */
+function verify(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) throw new AuthError("Malformed token");
+
+  const [header, payload, signature] = parts;
+  const presented = Buffer.from(signature, "base64url");
+  if (!validKeys().some((key) => safeEqual(presented, hmac(`${header}.${payload}`, key)))) {
+    throw new AuthError("Invalid token signature");
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") throw new Error();
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch (err) {
+    throw new AuthError("Malformed token");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp <= Date.now() / 1000) throw new AuthError("Token expired");
+  if (typeof claims.instance !== "string" || !claims.instance) throw new AuthError("Token names no instance");
+  if (!Array.isArray(claims.actions)) throw new AuthError("Token grants no actions");
+  return claims;
+}
+
+/**
+ * Whether an ID taken from a URL - a volume ID or a (possibly abbreviated) container
+ * ID - belongs to the instance of a token.
+ * @param {object} claims - Verified token claims.
+ * @param {string} id - The ID.
+ * @returns {Promise<boolean>}
+ */
+async function owns(claims, id) {
+  if (!id) return false;
+  if (id === claims.instance) return true;
+  // Short prefixes could resolve to another container on the Docker side
+  if (id.length < 12) return false;
+  if (claims.container && !claims.container.startsWith(id) && !id.startsWith(claims.container)) return false;
+  const entry = await findByContainer(id);
+  return Boolean(entry && entry.volumeId === claims.instance);
+}
+
+/**
+ * Checks that a token grants an action on every given ID.
+ * @param {object} claims - Verified token claims.
+ * @param {string} action - One of ACTIONS.
+ * @param {string[]} ids - IDs taken from the request.
+ * @throws {AuthError} 403 when it does not.
+ */
+async function requireAccess(claims, action, ids) {
+  if (!claims.actions.includes(action)) throw new AuthError(`Token does not grant ${action}`, 403);
+  for (const id of ids) {
+    if (!(await owns(claims, id))) throw new AuthError("Token does not grant access to this instance", 403);
+  }
+}
+
+/**
+ * Finds what a token needs to reach a route.
+ * @param {string} method - The HTTP method.
+ * @param {string} requestPath - The path, without the query string.
+ * @returns {{action: string, ids: string[]}|null} The action and the (decoded) IDs the token
+ *   must own, or null when no token may reach the route.
+ */
+function scopeOf(method, requestPath) {
+  const scope = scopes.find(
+    ({ pattern, methods }) => pattern.test(requestPath) && (!methods || methods.includes(method))
+  );
+  if (!scope) return null;
+  const ids = requestPath.match(scope.pattern).slice(1).map(decodeURIComponent);
+  if (requestPath.startsWith("/instances/") && reserved.includes(ids[0])) return null;
+  return { action: scope.action, ids };
+}
+
+const tokenFrom = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  // Downloads are opened by the browser, which cannot set headers
+  return typeof req.query.token === "string" ? req.query.token : null;
+};
+
+/**
+ * Express middleware accepting tokens (`Authorization: Bearer <token>` or `?token=`) on
+ * the routes listed in `scopes`. Requests without a token go to `fallback`, the node
+ * key basic auth.
+ * @param {function} fallback - Middleware used for requests without a token.
+ * @returns {function} The middleware.
+ */
+const middleware = (fallback) => async (req, res, next) => {
+  const token = tokenFrom(req);
+  if (!token) return fallback(req, res, next);
+
+  try {
+    const claims = verify(token);
+    const scope = scopeOf(req.method, req.path);
+    if (!scope) throw new AuthError("Token does not grant access to this route", 403);
+    await requireAccess(claims, scope.action, scope.ids);
+    req.token = claims;
+    next();
+  } catch (err) {
+    if (!(err instanceof AuthError)) return next(err);
+    // Bad tokens count as failed logins; valid tokens used out of scope do not
+    if (err.statusCode === 401) rateLimiter.fail(req.ip, "http");
+    res.status(err.statusCode).json({ message: err.message });
+  }
+};
+
+module.exports = { ACTIONS, AuthError, isNodeKey, rotateKey, verify, owns, requireAccess, scopeOf, middleware };
@@ -0,0 +1,77 @@
+process.env.KSWINGS_KEY = "test-node-key";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const auth = require("./auth");
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// Tokens are issued by the panel; this signs them the same way
+const token = (claims, { key = "test-node-key", alg = "HS256", ttl = 60 } = {}) => {
+  const body = `${encode({ alg, typ: "JWT" })}.${encode({ exp: Math.floor(Date.now() / 1000) + ttl, ...claims })}`;
+  return `${body}.${crypto.createHmac("sha256", key).update(body).digest("base64url")}`;
+};
+
+const rejects = (fn, statusCode, message) => {
+  assert.throws(fn, (err) => err instanceof auth.AuthError && err.statusCode === statusCode && message.test(err.message));
+};
+
+test("scopeOf maps routes to the action and the IDs a token must own", () => {
+  assert.deepStrictEqual(auth.scopeOf("GET", "/fs/vol1/files/view/a.txt"), { action: "files", ids: ["vol1"] });
+  assert.deepStrictEqual(auth.scopeOf("POST", "/archive/vol1/archives/vol1/create"), {
+    action: "backups",
+    ids: ["vol1", "vol1"],
+  });
+  assert.deepStrictEqual(auth.scopeOf("POST", "/archive/vol1/archives/rollback/vol2/backup.zip"), {
+    action: "backups",
+    ids: ["vol1", "vol2"],
+  });
+  assert.deepStrictEqual(auth.scopeOf("POST", "/instances/vol1/restart"), { action: "power", ids: ["vol1"] });
+  assert.deepStrictEqual(auth.scopeOf("GET", "/instances/vol1/logs/download"), { action: "console", ids: ["vol1"] });
+  assert.deepStrictEqual(auth.scopeOf("GET", "/instances/vol1"), { action: "console", ids: ["vol1"] });
+  assert.deepStrictEqual(auth.scopeOf("GET", "/fs/vol%201/files"), { action: "files", ids: ["vol 1"] });
+});
+
+test("scopeOf leaves node-only routes out of reach", () => {
+  assert.strictEqual(auth.scopeOf("GET", "/instances/vol1/restart"), null);
+  assert.strictEqual(auth.scopeOf("POST", "/instances/vol1/runcode"), null);
+  assert.strictEqual(auth.scopeOf("DELETE", "/instances/vol1"), null);
+  assert.strictEqual(auth.scopeOf("POST", "/instances/create"), null);
+  assert.strictEqual(auth.scopeOf("GET", "/instances/purge"), null);
+  assert.strictEqual(auth.scopeOf("GET", "/instances/vol1/unknown"), null);
+  assert.strictEqual(auth.scopeOf("POST", "/node/rotate-key"), null);
+  assert.strictEqual(auth.scopeOf("GET", "/audit"), null);
+  assert.strictEqual(auth.scopeOf("GET", "/"), null);
+});
+
+test("verify returns the claims of a valid token", () => {
+  const claims = auth.verify(token({ instance: "vol1", actions: ["console"] }));
+  assert.strictEqual(claims.instance, "vol1");
+  assert.deepStrictEqual(claims.actions, ["console"]);
+});
+
+test("verify rejects forged, expired and malformed tokens", () => {
+  rejects(() => auth.verify(token({ instance: "vol1", actions: [] }, { key: "other" })), 401, /signature/);
+  rejects(() => auth.verify(token({ instance: "vol1", actions: [] }, { ttl: -1 })), 401, /expired/);
+  rejects(() => auth.verify(token({ instance: "vol1", actions: [] }, { alg: "none" })), 401, /Malformed/);
+  rejects(() => auth.verify(token({ actions: [] })), 401, /no instance/);
+  rejects(() => auth.verify(token({ instance: "vol1" })), 401, /no actions/);
+  rejects(() => auth.verify("a.b"), 401, /Malformed/);
+  rejects(() => auth.verify(undefined), 401, /Malformed/);
+});
+
+test("requireAccess checks the action and every ID", async () => {
+  const claims = { instance: "vol1", actions: ["backups"] };
+  await auth.requireAccess(claims, "backups", ["vol1", "vol1"]);
+  await assert.rejects(auth.requireAccess(claims, "files", ["vol1"]), (err) => err.statusCode === 403);
+  // The rollback target must belong to the token as well
+  await assert.rejects(auth.requireAccess(claims, "backups", ["vol1", "vol2"]), (err) => err.statusCode === 403);
+  await assert.rejects(auth.requireAccess(claims, "backups", [""]), (err) => err.statusCode === 403);
+});
+
+test("isNodeKey only accepts the node key", () => {
+  assert.ok(auth.isNodeKey("test-node-key"));
+  assert.ok(!auth.isNodeKey("test-node-ke"));
+  assert.ok(!auth.isNodeKey(undefined));
+});
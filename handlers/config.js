@@ -0,0 +1,273 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const CatLoggr = require("cat-loggr");
+
+const log = new CatLoggr();
+
+const configPath = path.join(__dirname, "../config.json");
+
+const logLevels = ["fatal", "error", "warn", "trace", "init", "info", "verbose", "debug"];
+
+// Every setting with its type and default. A field is `{ type, default, ... }`, anything
+// else is a section. Each setting can be overridden by an environment variable named
+// after its path: `ftp.port` is KSWINGS_FTP_PORT, `rateLimit.maxFailures` is
+// KSWINGS_RATE_LIMIT_MAX_FAILURES. Keys not listed here are kept as they are.
+const schema = {
+  remote: { type: "string", default: "" },
+  key: { type: "string", required: true },
+  port: { type: "int", default: 8080, min: 1, max: 65535, restart: true },
+  logLevel: { type: "enum", options: logLevels, default: "debug" },
+  version: { type: "string", default: "1.0.0" },
+  tls: {
+    enabled: { type: "bool", default: false, restart: true },
+    cert: { type: "string", default: "" },
+    key: { type: "string", default: "" },
+    ca: { type: "string", default: "" },
+  },
+  auth: {
+    keyGrace: { type: "int", default: 300, min: 0 }, // seconds the previous key stays valid after a rotation
+  },
+  rateLimit: {
+    maxFailures: { type: "int", default: 10, min: 1 }, // failed logins per IP within the window before a ban
+    window: { type: "int", default: 300, min: 1 }, // seconds
+    banDuration: { type: "int", default: 900, min: 1 }, // seconds
+  },
+  mysql: {
+    host: { type: "string", default: "localhost" },
+    user: { type: "string", default: "root" },
+    password: { type: "string", default: "" },
+  },
+  ftp: {
+    ip: { type: "string", default: "127.0.0.1" },
+    port: { type: "int", default: 21, min: 1, max: 65535 },
+    tlsOnly: { type: "bool", default: false },
+  },
+  installer: {
+    image: { type: "string", default: "alpine:3.20" },
+    allowedImages: { type: "list", default: [] }, // images templates may use instead of `image`
+    memory: { type: "int", default: 1024, min: 1 }, // MiB
+    cpu: { type: "number", default: 1, min: 0.01 }, // cores
+    timeout: { type: "int", default: 600, min: 1 }, // seconds
+  },
+  download: {
+    proxy: { type: "string", default: null, nullable: true },
+    noProxy: { type: "list", default: [] },
+    maxRedirects: { type: "int", default: 5, min: 0 },
+    connectTimeout: { type: "int", default: 15, min: 1 }, // seconds until the response headers arrive
+    idleTimeout: { type: "int", default: 60, min: 1 }, // seconds without any data on the socket
+  },
+  jobs: {
+    concurrency: { type: "int", default: 2, min: 1 },
+    // Times a job may be (re)started. Resuming after a daemon restart counts as an
+    // attempt, so a job that keeps taking the daemon down eventually gives up. A failing
+    // step is not retried, it fails the job right away.
+    maxAttempts: { type: "int", default: 3, min: 1 },
+  },
+  readiness: {
+    timeout: { type: "int", default: 300, min: 1 }, // seconds an instance may stay STARTING
+    timeoutState: { type: "enum", options: ["RUNNING", "FAILED", "STOPPED"], default: "RUNNING" }, // when the rule never passes
+  },
+  crash: {
+    // "on-crash" restarts after a non-zero exit or OOM kill
+    policy: { type: "enum", options: ["never", "on-crash", "always"], default: "on-crash" },
+    backoff: { type: "number", default: 5, min: 0 }, // seconds before the first restart, doubled per recent crash
+    maxBackoff: { type: "number", default: 300, min: 0 },
+    crashLoopLimit: { type: "int", default: 5, min: 1 }, // crashes within crashLoopWindow after which restarts stop
+    crashLoopWindow: { type: "int", default: 600, min: 1 },
+    keepLines: { type: "int", default: 50, min: 0 }, // console lines stored with a crash
+  },
+  console: {
+    allowShell: { type: "bool", default: false },
+    historyLines: { type: "int", default: 1000, min: 1 }, // lines kept in memory per container
+    historyBytes: { type: "int", default: 1048576, min: 1 }, // bytes kept in memory per container
+    replayLines: { type: "int", default: 100, min: 0 }, // lines sent to new console clients
+    persist: { type: "bool", default: false }, // also append the console to storage/console/<container>.log
+    rotateBytes: { type: "int", default: 5242880, min: 1 }, // size at which the log file is rotated
+    rotateFiles: { type: "int", default: 3, min: 0 }, // rotated files kept (<container>.log.1 ... .N)
+  },
+  audit: {
+    rotateBytes: { type: "int", default: 10485760, min: 1 }, // size at which storage/audit.log is rotated
+    rotateFiles: { type: "int", default: 5, min: 1 }, // rotated files kept (audit.log.1 ... .N), searched by queries
+  },
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+const isField = (spec) => typeof spec.type === "string";
+
+const envName = (keyPath) =>
+  "KSWINGS_" + keyPath.map((key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2")).join("_").toUpperCase();
+
+// Environment variables are strings; turns them into the type of the field
+const fromEnv = (spec, value) => {
+  if (spec.nullable && value === "") return null;
+  switch (spec.type) {
+    case "int":
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case "number":
+      return value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value;
+    case "bool":
+      return ["true", "1", "yes"].includes(value.toLowerCase())
+        ? true
+        : ["false", "0", "no"].includes(value.toLowerCase())
+        ? false
+        : value;
+    case "list":
+      return value.split(",").map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+// Returns an error message, or null when the value fits the field
+const check = (spec, value) => {
+  if (value === null && spec.nullable) return null;
+  switch (spec.type) {
+    case "string":
+      return typeof value === "string" ? null : "must be a string";
+    case "bool":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "list":
+      return Array.isArray(value) && value.every((item) => typeof item === "string") ? null : "must be a list of strings";
+    case "enum":
+      return spec.options.includes(value) ? null : `must be one of ${spec.options.join(", ")}`;
+    case "int":
+    case "number": {
+      const kind = spec.type === "int" ? "an integer" : "a number";
+      const valid = typeof value === "number" && (spec.type === "int" ? Number.isInteger(value) : isFinite(value));
+      const inRange = valid && (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+      if (inRange) return null;
+      if (spec.min !== undefined && spec.max !== undefined) return `must be ${kind} between ${spec.min} and ${spec.max}`;
+      if (spec.min !== undefined) return `must be ${kind} of at least ${spec.min}`;
+      return `must be ${kind}`;
+    }
+    default:
+      return null;
+  }
+};
+
+// Applies defaults and environment overrides to one section, collecting every problem
+const resolve = (section, values, keyPath, errors) => {
+  const result = { ...values };
+  for (const [key, spec] of Object.entries(section)) {
+    const fieldPath = [...keyPath, key];
+    const name = fieldPath.join(".");
+
+    if (!isField(spec)) {
+      const value = values[key] === undefined || values[key] === null ? {} : values[key];
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${name} must be an object`);
+        continue;
+      }
+      result[key] = resolve(spec, value, fieldPath, errors);
+      continue;
+    }
+
+    let value = values[key];
+    let source = "config.json";
+    const env = process.env[envName(fieldPath)];
+    if (env !== undefined) {
+      value = fromEnv(spec, env);
+      source = envName(fieldPath);
+    }
+
+    if (value === undefined || (value === "" && spec.required)) {
+      if (spec.required) errors.push(`${name} is required (set it in config.json or ${envName(fieldPath)})`);
+      else result[key] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+      continue;
+    }
+
+    const problem = check(spec, value);
+    if (problem) errors.push(`${name} ${problem} (got ${JSON.stringify(value)} from ${source})`);
+    else result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * Reads config.json, fills in defaults and applies environment overrides.
+ * @returns {object} The validated configuration.
+ * @throws {ConfigError} Listing every invalid or missing value.
+ */
+function load() {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new ConfigError([`config.json cannot be read: ${err.message}`]);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new ConfigError(["config.json must contain an object"]);
+  }
+
+  const errors = [];
+  const result = resolve(schema, values, [], errors);
+  if (errors.length > 0) throw new ConfigError(errors);
+  return result;
+}
+
+// The paths of all fields whose value differs between two configurations
+const diff = (section, a, b, keyPath = []) =>
+  Object.entries(section).flatMap(([key, spec]) => {
+    const fieldPath = [...keyPath, key];
+    if (!isField(spec)) return diff(spec, a[key], b[key], fieldPath);
+    return JSON.stringify(a[key]) === JSON.stringify(b[key]) ? [] : [{ path: fieldPath.join("."), spec }];
+  });
+
+/**
+ * The configuration of the daemon. Reloads replace its contents in place, so read
+ * settings when they are needed instead of copying them at startup.
+ */
+const config = load();
+log.setLevel(config.logLevel);
+
+// Emits "reload" with `(config, previous, changed)` after a successful reload
+const events = new EventEmitter();
+
+/**
+ * Reads the configuration again and applies it. Containers keep running; settings that
+ * are read when needed apply at once, modules holding resources (FTP server, ...) listen
+ * for "reload". `port` and `tls.enabled` only change with a restart.
+ * @returns {{changed: string[], restartRequired: string[]}} The paths of changed settings.
+ * @throws {ConfigError} When the new configuration is invalid; the current one stays in use.
+ */
+function reload() {
+  const next = load();
+  const previous = JSON.parse(JSON.stringify(config));
+  const changes = diff(schema, previous, next);
+  const restartRequired = changes.filter(({ spec }) => spec.restart).map((change) => change.path);
+
+  // Settings that need a restart keep their current value until then
+  restartRequired.forEach((fieldPath) => {
+    const keys = fieldPath.split(".");
+    const parent = keys.slice(0, -1).reduce((section, key) => section[key], next);
+    parent[keys[keys.length - 1]] = keys.reduce((section, key) => section[key], previous);
+  });
+
+  Object.keys(config).forEach((key) => delete config[key]);
+  Object.assign(config, next);
+  log.setLevel(config.logLevel);
+
+  const changed = changes.map((change) => change.path);
+  log.info(`Configuration reloaded${changed.length ? ` (changed: ${changed.join(", ")})` : ", nothing changed"}`);
+  if (restartRequired.length) log.warn(`Restart the daemon to apply: ${restartRequired.join(", ")}`);
+  events.emit("reload", config, previous, changed);
+  return { changed, restartRequired };
+}
+
+/**
+ * Whether a setting is overridden by its environment variable (and so cannot be
+ * changed by writing config.json).
+ * @param {string} fieldPath - e.g. "key" or "ftp.port".
+ * @returns {boolean}
+ */
+const fromEnvironment = (fieldPath) => process.env[envName(fieldPath.split("."))] !== undefined;
+
+module.exports = { config, reload, events, fromEnvironment, configPath, ConfigError, logLevels };
@@ -0,0 +1,49 @@
+const Docker = require("../utils/Docker");
+const { createLogger } = require("./logger");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+// One stdin attachment per container, shared by every console client. Docker closes
+// it when the main process exits, after which the next write attaches again.
+const attachments = {};
+
+const getStdin = (containerId) => {
+  if (!attachments[containerId]) {
+    const forget = () => {
+      if (attachments[containerId] === attachment) delete attachments[containerId];
+    };
+    const attachment = docker
+      .getContainer(containerId)
+      .attach({ stdin: true, stdout: false, stderr: false })
+      .then((socket) => {
+        socket.on("end", forget);
+        socket.on("close", forget);
+        socket.on("error", (err) => {
+          log.warn(`Console stdin of ${containerId} failed: ${err.message}`);
+          forget();
+        });
+        return socket;
+      })
+      .catch((err) => {
+        forget();
+        throw err;
+      });
+    attachments[containerId] = attachment;
+  }
+  return attachments[containerId];
+};
+
+/**
+ * Writes a line of console input to the main process of a container.
+ * @param {string} containerId - The container.
+ * @param {string} line - The input; a newline is appended when missing.
+ */
+async function send(containerId, line) {
+  const socket = await getStdin(containerId);
+  await new Promise((resolve, reject) => {
+    socket.write(line.endsWith("\n") ? line : `${line}\n`, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = { send };
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { StringDecoder } = require("string_decoder");
+const Docker = require("../utils/Docker");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const containerEvents = require("./containerEvents");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const historyPath = path.join(__dirname, "../storage/console");
+
+// containerId -> { entries, bytes, pending, follower, file }
+const histories = {};
+// Emits the container ID with `{ timestamp, stream, content }` for every chunk of output
+const output = new EventEmitter();
+output.setMaxListeners(0);
+
+/**
+ * Resolves an abbreviated container ID, so every caller shares one history.
+ * @param {string} containerId - Full or abbreviated container ID.
+ * @returns {Promise<string>} The full container ID.
+ */
+const resolveId = async (containerId) =>
+  /^[0-9a-f]{64}$/.test(containerId) ? containerId : (await docker.getContainer(containerId).inspect()).Id;
+
+const filePath = (containerId) => path.join(historyPath, `${path.basename(containerId)}.log`);
+
+// Reloads the newest persisted lines after a daemon restart
+const loadPersisted = (containerId) => {
+  try {
+    const content = fs.readFileSync(filePath(containerId), "utf8");
+    const window = config.console.historyBytes * 2;
+    const lines = content.slice(-window).split("\n");
+    // Only a read that starts partway through the file can cut the first line
+    if (content.length > window) lines.shift();
+    return lines
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn(`Failed to load console history of ${containerId}: ${err.message}`);
+    return [];
+  }
+};
+
+const getHistory = (containerId) => {
+  if (!histories[containerId]) {
+    const history = { entries: [], bytes: 0, pending: {}, decoders: {}, follower: null, file: null };
+    histories[containerId] = history;
+    if (config.console.persist) loadPersisted(containerId).forEach((entry) => push(history, entry));
+  }
+  return histories[containerId];
+};
+
+const push = (history, entry) => {
+  history.entries.push(entry);
+  history.bytes += Buffer.byteLength(entry.line);
+  while (
+    history.entries.length > config.console.historyLines ||
+    (history.bytes > config.console.historyBytes && history.entries.length > 1)
+  ) {
+    history.bytes -= Buffer.byteLength(history.entries.shift().line);
+  }
+};
+
+const rotate = (containerId) => {
+  const file = filePath(containerId);
+  for (let i = config.console.rotateFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  if (config.console.rotateFiles > 0) fs.renameSync(file, `${file}.1`);
+  else fs.unlinkSync(file);
+};
+
+const persist = (containerId, history, entries) => {
+  try {
+    if (!history.file) {
+      fs.mkdirSync(historyPath, { recursive: true });
+      const file = filePath(containerId);
+      history.file = { size: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+    }
+    const data = entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+    if (history.file.size + Buffer.byteLength(data) > config.console.rotateBytes && history.file.size > 0) {
+      rotate(containerId);
+      history.file.size = 0;
+    }
+    fs.appendFileSync(filePath(containerId), data);
+    history.file.size += Buffer.byteLength(data);
+  } catch (err) {
+    log.warn(`Failed to persist console history of ${containerId}: ${err.message}`);
+  }
+};
+
+const record = (containerId, stream, data) => {
+  const history = getHistory(containerId);
+  if (!history.decoders[stream]) history.decoders[stream] = new StringDecoder("utf8");
+  const content = history.decoders[stream].write(data);
+  const timestamp = new Date().toISOString();
+
+  output.emit(containerId, { timestamp, stream, content });
+
+  const lines = ((history.pending[stream] || "") + content).split(/\r?\n/);
+  history.pending[stream] = lines.pop();
+  const entries = lines.map((line) => ({ timestamp, stream, line }));
+  entries.forEach((entry) => push(history, entry));
+  if (config.console.persist && entries.length > 0) persist(containerId, history, entries);
+};
+
+/**
+ * Makes sure the output of a container is being recorded. One log stream is followed
+ * per container, whoever asked for it; it ends when the container stops and is picked
+ * up again on the next start event.
+ * @param {string} containerId - Full container ID.
+ * @param {number} [since] - Unix timestamp to follow from (defaults to new output only).
+ */
+async function follow(containerId, since) {
+  const history = getHistory(containerId);
+  if (history.follower) return;
+  history.follower = true;
+
+  try {
+    const stream = await docker.getContainer(containerId).decodedLogs({
+      follow: true,
+      stdout: true,
+      stderr: true,
+      ...(since !== undefined ? { since } : { tail: 0 }),
+    });
+    history.follower = stream;
+    stream.on("data", (frame) => record(containerId, frame.stream, frame.data));
+    stream.on("error", (err) => log.warn(`Console stream of ${containerId} failed: ${err.message}`));
+    stream.on("close", () => {
+      if (history.follower === stream) history.follower = null;
+    });
+  } catch (err) {
+    history.follower = null;
+    throw err;
+  }
+}
+
+// Containers whose console was followed before are followed again when they start
+containerEvents.on("start", (event) => {
+  if (histories[event.id] && !histories[event.id].follower) {
+    follow(event.id, event.time).catch((err) =>
+      log.warn(`Failed to follow console of ${event.id}: ${err.message}`)
+    );
+  }
+});
+
+// Removed containers take their history with them, in memory and on disk
+containerEvents.on("destroy", (event) => {
+  const history = histories[event.id];
+  if (history) {
+    if (history.follower && history.follower !== true) history.follower.destroy();
+    delete histories[event.id];
+  }
+  if (!config.console.persist) return;
+  try {
+    const prefix = path.basename(filePath(event.id));
+    fs.readdirSync(historyPath)
+      .filter((name) => name === prefix || name.startsWith(`${prefix}.`))
+      .forEach((name) => fs.rmSync(path.join(historyPath, name), { force: true }));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn(`Failed to remove console history of ${event.id}: ${err.message}`);
+  }
+});
+
+/**
+ * Returns recorded console lines, oldest first.
+ * @param {string} containerId - Full container ID.
+ * @param {object} [options]
+ * @param {number} [options.lines] - Only the last N lines.
+ * @param {Date} [options.since] - Only lines recorded after this time.
+ * @returns {Array<{timestamp: string, stream: string, line: string}>}
+ */
+function get(containerId, { lines, since } = {}) {
+  let entries = getHistory(containerId).entries;
+  if (since) entries = entries.filter((entry) => new Date(entry.timestamp) > since);
+  if (lines) entries = entries.slice(-lines);
+  return entries;
+}
+
+/**
+ * Subscribes to the live output of a container.
+ * @param {string} containerId - Full container ID.
+ * @param {function(object): void} listener - Called with `{ timestamp, stream, content }`.
+ * @returns {function(): void} Function that removes the subscription.
+ */
+function subscribe(containerId, listener) {
+  output.on(containerId, listener);
+  return () => output.removeListener(containerId, listener);
+}
+
+module.exports = { resolveId, follow, get, subscribe };
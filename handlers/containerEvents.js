@@ -0,0 +1,65 @@
+const EventEmitter = require("events");
+const Docker = require("../utils/Docker");
+const { createLogger } = require("./logger");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+// One Docker events subscription shared by the whole daemon, re-emitted by action
+// ("start", "die", "oom", "health_status", "destroy")
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+let source = null;
+
+/**
+ * Opens the shared subscription. Called once at startup.
+ */
+function start() {
+  if (source) return;
+  source = docker.events();
+  source.on("connect", () => log.info("Subscribed to Docker events"));
+  source.on("disconnect", (err) => log.warn(`Docker events stream lost (${err.message}), reconnecting`));
+  source.on("event", (event) => bus.emit(event.action, event));
+}
+
+const matches = (event, containerId) =>
+  Boolean(event.id && containerId && (event.id.startsWith(containerId) || containerId.startsWith(event.id)));
+
+/**
+ * Listens for an action of all containers.
+ * @param {string} action - e.g. "die".
+ * @param {function(object): void} listener - Called with the parsed event (see Docker#events).
+ * @returns {function(): void} Function that removes the listener.
+ */
+function on(action, listener) {
+  bus.on(action, listener);
+  return () => bus.removeListener(action, listener);
+}
+
+/**
+ * Waits for the next of the given actions on one container. Register the wait before
+ * triggering the action so the event cannot be missed.
+ * @param {string} containerId - Full or abbreviated container ID.
+ * @param {string[]} actions - Actions to wait for.
+ * @param {number} timeoutMs - How long to wait.
+ * @returns {Promise<object|null> & {cancel: function(): void}} The event, or null on timeout or cancel.
+ */
+function waitFor(containerId, actions, timeoutMs) {
+  let finish;
+  const promise = new Promise((resolve) => {
+    const listener = (event) => {
+      if (matches(event, containerId)) finish(event);
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    finish = (event) => {
+      clearTimeout(timer);
+      actions.forEach((action) => bus.removeListener(action, listener));
+      resolve(event);
+    };
+    actions.forEach((action) => bus.on(action, listener));
+  });
+  promise.cancel = () => finish(null);
+  return promise;
+}
+
+module.exports = { start, on, waitFor, matches };
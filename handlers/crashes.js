@@ -0,0 +1,167 @@
+const fs = require("fs").promises;
+const path = require("path");
+const EventEmitter = require("events");
+const Docker = require("../utils/Docker");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+const { ansiPattern } = require("../utils/Ansi");
+const { readStates, setStatus } = require("./states");
+const instanceConfig = require("./instanceConfig");
+const readiness = require("./readiness");
+const power = require("./power");
+const containerEvents = require("./containerEvents");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const crashesFilePath = path.join(__dirname, "../storage/crashes.json");
+const maxRecords = 20; // per instance
+
+// Emits "crash" with `{ volumeId, ...record }`
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let saving = Promise.resolve();
+
+const readAll = async () => {
+  try {
+    return JSON.parse(await fs.readFile(crashesFilePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("Failed to read crashes file:", err.message);
+    return {};
+  }
+};
+
+const record = (volumeId, entry) => {
+  saving = saving
+    .then(async () => {
+      const all = await readAll();
+      all[volumeId] = [entry, ...(all[volumeId] || [])].slice(0, maxRecords);
+      await writeFileAtomic(crashesFilePath, JSON.stringify(all, null, 2));
+    })
+    .catch((err) => log.error("Failed to persist crash:", err.message));
+  return saving;
+};
+
+/**
+ * Lists the recorded crashes of an instance, newest first.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<object[]>}
+ */
+const list = async (volumeId) => (await readAll())[volumeId] || [];
+
+const lastLines = async (container, count) => {
+  try {
+    const stream = await container.decodedLogs({ stdout: true, stderr: true, tail: count });
+    const chunks = [];
+    for await (const frame of stream) chunks.push(frame.data);
+    return Buffer.concat(chunks)
+      .toString("utf8")
+      .replace(ansiPattern, "")
+      .split(/\r?\n/)
+      .filter((line) => line.trim().length > 0)
+      .slice(-count);
+  } catch (err) {
+    log.warn(`Failed to read last console lines: ${err.message}`);
+    return [];
+  }
+};
+
+const restartPolicy = (definitions) => {
+  const overrides = Object.entries((definitions && definitions.restart) || {}).filter(
+    ([, value]) => value !== null && value !== undefined
+  );
+  // Instance definitions (`restart` in handlers/instanceConfig) override the node settings
+  return { ...config.crash, ...Object.fromEntries(overrides) };
+};
+
+const scheduleRestart = (volumeId, containerId, delay) => {
+  setTimeout(async () => {
+    try {
+      // Someone may have started, stopped or reinstalled the instance in the meantime
+      const entry = (await readStates())[volumeId];
+      if (!entry || entry.state !== "CRASHED" || entry.containerId !== containerId) return;
+      log.info(`[KS Wings] Restarting crashed instance ${volumeId}`);
+      await power.start(containerId);
+    } catch (err) {
+      log.error(`[KS Wings] Automatic restart of ${volumeId} failed:`, err.message);
+    }
+  }, delay * 1000);
+};
+
+/**
+ * Handles a container `die` event. Only instances the node believes are STARTING or
+ * RUNNING can crash: stops issued through handlers/power and deletions move the instance
+ * to STOPPING first, and deployments to INSTALLING. Containers already removed are ignored.
+ */
+const handleExit = async (event) => {
+  const { name: volumeId, id: containerId, exitCode } = event;
+
+  const entry = (await readStates())[volumeId];
+  if (!entry || entry.containerId !== containerId) return;
+  if (!["STARTING", "RUNNING"].includes(entry.state)) return;
+
+  const container = docker.getContainer(containerId);
+  let oomKilled = false;
+  try {
+    oomKilled = (await container.inspect()).State.OOMKilled === true;
+  } catch (err) {
+    // Removed (e.g. `docker rm -f`): the exit came from the removal, not a crash
+    if (err.statusCode === 404) return;
+    log.warn(`Failed to inspect exited container ${containerId}: ${err.message}`);
+  }
+
+  readiness.cancel(volumeId);
+  const policy = restartPolicy(await instanceConfig.get(volumeId));
+
+  if (exitCode === 0 && !oomKilled && policy.policy !== "always") {
+    log.info(`[KS Wings] Instance ${volumeId} exited cleanly`);
+    await setStatus(volumeId, "STOPPED", { readyAt: null });
+    return;
+  }
+
+  const now = Date.now();
+  const recent = (await list(volumeId)).filter(
+    (crash) => Date.parse(crash.at) > now - policy.crashLoopWindow * 1000
+  ).length + 1;
+  const crashLoop = policy.policy !== "never" && recent >= policy.crashLoopLimit;
+  const restartIn =
+    policy.policy === "never" || crashLoop
+      ? null
+      : Math.min(policy.backoff * 2 ** (recent - 1), policy.maxBackoff);
+
+  const crash = {
+    at: new Date(now).toISOString(),
+    containerId,
+    exitCode,
+    oomKilled,
+    lines: await lastLines(container, policy.keepLines),
+    restartIn,
+    crashLoop,
+  };
+
+  log.warn(
+    `[KS Wings] Instance ${volumeId} crashed (exit code ${exitCode}${oomKilled ? ", out of memory" : ""})` +
+      (crashLoop ? ` - ${recent} crashes in ${policy.crashLoopWindow}s, not restarting` : "") +
+      (restartIn !== null ? ` - restarting in ${restartIn}s` : "")
+  );
+
+  await record(volumeId, crash);
+  await setStatus(volumeId, "CRASHED", { readyAt: null, lastCrash: crash.at });
+  events.emit("crash", { volumeId, ...crash });
+
+  if (restartIn !== null) scheduleRestart(volumeId, containerId, restartIn);
+};
+
+/**
+ * Handles container exits from the shared Docker events subscription.
+ */
+const watch = () => {
+  containerEvents.on("die", (event) => {
+    handleExit(event).catch((err) => log.error("Failed to handle container exit:", err.message));
+  });
+  log.info("Crash watcher started");
+};
+
+module.exports = { watch, list, events };
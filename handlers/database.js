@@ -1,9 +1,9 @@
 const mysql = require("mysql2/promise");
-const config = require("../config.json");
-const logger = require("cat-loggr");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
 const crypto = require("crypto");
 
-const log = new logger();
+const log = createLogger();
 
 /**
  * Generates a random password for the new MySQL user.
@@ -115,7 +115,33 @@ async function deleteDatabaseAndUser(dbName) {
   }
 }
 
+/**
+ * Checks that the configured MySQL server accepts the configured credentials.
+ * @returns {Promise<boolean>} - True if a connection could be made.
+ */
+async function isAvailable() {
+  if (!config.mysql || !config.mysql.host || !config.mysql.user) return false;
+
+  let connection;
+  try {
+    connection = await mysql.createConnection({
+      host: config.mysql.host,
+      user: config.mysql.user,
+      password: config.mysql.password || "",
+      connectTimeout: 3000,
+    });
+    return true;
+  } catch (err) {
+    return false;
+  } finally {
+    if (connection) {
+      await connection.end().catch(() => {});
+    }
+  }
+}
+
 module.exports = {
   createDatabaseAndUser,
   deleteDatabaseAndUser,
+  isAvailable,
 };
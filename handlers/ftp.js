@@ -1,16 +1,14 @@
 const ftpd = require("ftpd");
-const fs = require("fs").promises;
+const fsSync = require("fs");
+const fs = fsSync.promises;
 const path = require("path");
-const config = require("../config.json");
-const logger = require("cat-loggr");
+const { config, events: configEvents } = require("./config");
+const { createLogger } = require("./logger");
+const tls = require("./tls");
+const rateLimiter = require("./rateLimiter");
+const audit = require("./audit");
 
-const log = new logger();
-
-const options = {
-  host: config.ftp.ip || "127.0.0.1",
-  port: config.ftp.port || 21,
-  tls: null,
-};
+const log = createLogger();
 
 const dataContainerDir = path.join(process.cwd(), "ftp");
 const volumesDir = path.join(process.cwd(), "volumes");
@@ -55,8 +53,8 @@ const generatePassword = (dirName) => {
 const createUserData = (username, password, dir) => ({
   username,
   password,
-  host: options.host,
-  port: options.port,
+  host: config.ftp.ip,
+  port: config.ftp.port,
   root: path.join(volumesDir, dir),
 });
 
@@ -128,8 +126,31 @@ const initializeUsers = async () => {
 
 initializeUsers();
 
+// Uploads and deletions are audited like their HTTP counterparts (files.upload, files.delete)
+const auditFtp = (connection, ip, action, file, failed) =>
+  audit.record({
+    action,
+    instance: connection.username.replace(/^user-/, ""),
+    actor: `ftp:${connection.username}`,
+    ip,
+    details: { path: file, ...(failed && { failed: true }) },
+  });
+
+// The file system of a session: Node's, with deletions recorded in the audit log
+const auditedFs = (connection, ip) => {
+  const audited = (action, method) => (target, callback) =>
+    fsSync[method](target, (err) => {
+      auditFtp(connection, ip, action, `/${path.relative(connection.root, target)}`, Boolean(err));
+      callback(err);
+    });
+  return Object.assign(Object.create(fsSync), {
+    unlink: audited("files.delete", "unlink"),
+    rmdir: audited("files.delete", "rmdir"),
+  });
+};
+
 const createServer = () => {
-  const server = new ftpd.FtpServer(options.host, {
+  const server = new ftpd.FtpServer(config.ftp.ip, {
     getInitialCwd: () => "/",
     getRoot: (connection, callback) => {
       const user = users[connection.username];
@@ -137,7 +158,9 @@ const createServer = () => {
     },
     pasvPortRangeStart: 1025,
     pasvPortRangeEnd: 1050,
-    tlsOptions: options.tls,
+    // Explicit FTPS (AUTH TLS) with the API certificate; see handlers/tls.js
+    tlsOptions: tls.options(),
+    tlsOnly: Boolean(tls.options() && config.ftp.tlsOnly),
     allowUnauthorizedTls: true,
     useWriteFile: false,
     useReadFile: false,
@@ -170,28 +193,36 @@ const createServer = () => {
 
   server.on("client:connected", (connection) => {
     let currentUser = null;
+    const ip = connection.socket.remoteAddress;
 
     connection.on("command:user", (user, success, failure) => {
       log.info(`User login attempt: ${user}`);
-      if (users[user]) {
+      if (rateLimiter.banned(ip)) {
+        log.warn(`Refused login attempt from banned address ${ip}`);
+        failure();
+      } else if (users[user]) {
         currentUser = user;
         success();
       } else {
         log.warn(`Failed login attempt: No such user ${user}`);
+        rateLimiter.fail(ip, "ftp");
         failure();
       }
     });
 
     connection.on("command:pass", (pass, success, failure) => {
-      if (currentUser) {
-        log.info(`Password attempt for user ${currentUser}: ${pass}`);
+      if (rateLimiter.banned(ip)) {
+        failure();
+      } else if (currentUser) {
+        log.info(`Password attempt for user ${currentUser}`);
         const user = users[currentUser];
         if (user.password === pass) {
-          success(currentUser);
+          success(currentUser, auditedFs(connection, ip));
         } else {
           log.warn(
             `Failed login attempt for user ${currentUser}. Wrong password`
           );
+          rateLimiter.fail(ip, "ftp");
           failure();
         }
       } else {
@@ -199,19 +230,41 @@ const createServer = () => {
         failure();
       }
     });
+
+    connection.on("file:stor", (state, info) => {
+      if (state !== "open") auditFtp(connection, ip, "files.upload", info.file, state === "error");
+    });
   });
 
   return server;
 };
 
+let server = null;
+
+const listen = () => {
+  server = createServer();
+  server.debugging = 1;
+  server.listen(config.ftp.port);
+  log.info(`FTP server started on port ${config.ftp.port}`);
+};
+
 const start = async () => {
   await initializeUsers();
   watchVolumesDirectory();
-
-  const server = createServer();
-  server.debugging = 1;
-  server.listen(options.port);
-  log.info(`FTP server started on port ${options.port}`);
+  listen();
 };
 
+// The TLS context is created per connection, so new sessions pick up a reloaded certificate
+tls.events.on("reload", (tlsOptions) => {
+  if (server) server.options.tlsOptions = tlsOptions;
+});
+
+// A changed address or TLS requirement needs a new listener; open sessions stay connected
+configEvents.on("reload", (current, previous) => {
+  if (!server || JSON.stringify(current.ftp) === JSON.stringify(previous.ftp)) return;
+  log.info("FTP settings changed, restarting the FTP server");
+  server.close();
+  listen();
+});
+
 module.exports = { start, createNewVolume };
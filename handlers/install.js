@@ -0,0 +1,54 @@
+const EventEmitter = require("events");
+const installLog = require("./installLog");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Keep the most recent events of each deployment so a console that connects
+// mid-install still sees what already happened.
+const maxBacklog = 500;
+const backlogs = {};
+
+/**
+ * Clears the buffered events of a volume and starts a new install log.
+ * Called when a new install run starts.
+ * @param {string} volumeId - The volume identifier.
+ */
+function reset(volumeId) {
+  backlogs[volumeId] = [];
+  installLog.start(volumeId);
+}
+
+/**
+ * Publishes an install event on the channel of a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} type - The event name (e.g. "step:start", "pull:progress").
+ * @param {object} [data] - Event payload.
+ */
+function emit(volumeId, type, data = {}) {
+  if (!volumeId) return;
+  const event = { type, timestamp: new Date().toISOString(), ...data };
+
+  if (!backlogs[volumeId]) backlogs[volumeId] = [];
+  backlogs[volumeId].push(event);
+  if (backlogs[volumeId].length > maxBacklog) {
+    backlogs[volumeId].splice(0, backlogs[volumeId].length - maxBacklog);
+  }
+
+  installLog.append(volumeId, event);
+  emitter.emit(volumeId, event);
+}
+
+/**
+ * Subscribes to the install channel of a volume. Buffered events are replayed first.
+ * @param {string} volumeId - The volume identifier.
+ * @param {function(object): void} listener - Called with every event.
+ * @returns {function(): void} Function that removes the subscription.
+ */
+function subscribe(volumeId, listener) {
+  (backlogs[volumeId] || []).forEach((event) => listener(event));
+  emitter.on(volumeId, listener);
+  return () => emitter.removeListener(volumeId, listener);
+}
+
+module.exports = { reset, emit, subscribe };
@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const log = createLogger();
+
+const logsDir = path.join(__dirname, "../storage/install-logs");
+const streams = {};
+
+/**
+ * Returns the install log path of a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {string} Absolute path of the log file.
+ */
+function logPath(volumeId) {
+  return path.join(logsDir, `${path.basename(String(volumeId))}.log`);
+}
+
+function getStream(volumeId, flags) {
+  if (!streams[volumeId] || flags === "w") {
+    if (streams[volumeId]) streams[volumeId].end();
+    fs.mkdirSync(logsDir, { recursive: true });
+    const stream = fs.createWriteStream(logPath(volumeId), { flags });
+    // A failed write must not crash the daemon; the next event opens the file again
+    stream.on("error", (err) => {
+      log.error(`Failed to write the install log of ${volumeId}:`, err.message);
+      if (streams[volumeId] === stream) delete streams[volumeId];
+    });
+    streams[volumeId] = stream;
+  }
+  return streams[volumeId];
+}
+
+/**
+ * Turns an install event into log lines. Progress events are left out to keep the file readable.
+ * @param {object} event - An event published on the install channel.
+ * @returns {string[]} Lines without timestamps.
+ */
+function formatEvent(event) {
+  switch (event.type) {
+    case "install:start":
+      return [`=== Install started${event.image ? ` (image ${event.image})` : ""}${event.jobId ? ` [job ${event.jobId}]` : ""} ===`];
+    case "install:finish":
+      return [`=== Install finished: ${event.state}${event.error ? ` - ${event.error}` : ""} ===`];
+    case "step:start":
+      return [`Step "${event.step}" started`];
+    case "step:finish":
+      return [`Step "${event.step}" finished`];
+    case "operation:start":
+      return [`  ${event.operation} operation started`];
+    case "operation:finish":
+      return [`  ${event.operation} operation finished`];
+    case "operation:error":
+      return [`  ${event.operation} operation FAILED: ${event.error}`];
+    case "download:start":
+      return [`  Downloading ${event.url} -> ${event.filename}`];
+    case "download:response":
+      return [`  HTTP ${event.statusCode} from ${event.url} (attempt ${event.attempt})`];
+    case "download:finish":
+      return [`  Downloaded ${event.filename}`];
+    case "download:error":
+      return [`  Download of ${event.filename} failed: ${event.error}`];
+    case "pull:start":
+      return [`Pulling image ${event.image}`];
+    case "pull:finish":
+      return [`Pulled image ${event.image}`];
+    case "snapshot:start":
+      return ["Snapshotting volume"];
+    case "snapshot:finish":
+      return ["Volume snapshot taken"];
+    case "snapshot:restored":
+      return ["Volume rolled back to the snapshot"];
+    case "command:output":
+      return event.data
+        .split(/\r?\n/)
+        .filter((line) => line.length > 0)
+        .map((line) => `  [${event.stream}] ${line}`);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Starts a fresh install log for a volume, replacing the previous run.
+ * @param {string} volumeId - The volume identifier.
+ */
+function start(volumeId) {
+  getStream(volumeId, "w");
+}
+
+/**
+ * Appends an install event to the log of a volume. The file is closed once the install finishes.
+ * @param {string} volumeId - The volume identifier.
+ * @param {object} event - An event published on the install channel.
+ */
+function append(volumeId, event) {
+  const lines = formatEvent(event);
+  if (lines.length > 0) {
+    const stream = getStream(volumeId, "a");
+    stream.write(lines.map((line) => `[${event.timestamp}] ${line}\n`).join(""));
+  }
+
+  if (event.type === "install:finish" && streams[volumeId]) {
+    streams[volumeId].end();
+    delete streams[volumeId];
+  }
+}
+
+module.exports = { logPath, start, append };
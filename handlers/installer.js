@@ -0,0 +1,139 @@
+const Docker = require("../utils/Docker");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const install = require("./install");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const defaults = {
+  image: "alpine:3.20",
+  memory: 1024, // MiB
+  cpu: 1, // cores
+  timeout: 600, // seconds
+};
+
+/**
+ * Pulls an image, relaying layer progress to the install channel of the volume.
+ * @param {string} image - The image reference.
+ * @param {string} volumeId - The volume identifier used for install events.
+ */
+const pullImage = async (image, volumeId) => {
+  install.emit(volumeId, "pull:start", { image });
+  const stream = await docker.pull(image);
+  await new Promise((resolve, reject) => {
+    docker.modem.followProgress(
+      stream,
+      (err, result) => {
+        if (err) return reject(new Error(`Failed to pull image: ${err.message}`));
+        log.info(`[Wings] Image ${image} pulled successfully.`);
+        install.emit(volumeId, "pull:finish", { image });
+        resolve(result);
+      },
+      (progress) =>
+        install.emit(volumeId, "pull:progress", {
+          id: progress.id,
+          status: progress.status,
+          progressDetail: progress.progressDetail,
+        })
+    );
+  });
+};
+
+// A template may ask for less than the node allows, never for more; values that are
+// not a positive number get the node's limit
+const clamp = (requested, limit) => {
+  const value = Number(requested);
+  return value > 0 && isFinite(value) ? Math.min(value, limit) : limit;
+};
+
+/**
+ * Resolves the installer settings: operation overrides, then the template's
+ * Installer block, then config.json, then built-in defaults. Memory, CPU and timeout are
+ * capped at the node's `installer` limits, and a template image is only used when it is listed
+ * in `installer.allowedImages`.
+ * @param {object} [installer] - The template's Installer block.
+ * @param {object} [op] - The install operation.
+ * @returns {{image: string, memory: number, cpu: number, timeout: number}}
+ */
+const resolveInstallerOptions = (installer = {}, op = {}) => {
+  const node = config.installer || {};
+  const nodeImage = node.image || defaults.image;
+  const requestedImage = op.image || installer.Image;
+  const allowed = requestedImage && (requestedImage === nodeImage || (node.allowedImages || []).includes(requestedImage));
+  if (requestedImage && !allowed) {
+    log.warn(`[Wings] Installer image ${requestedImage} is not allowed on this node, using ${nodeImage}`);
+  }
+  return {
+    image: allowed ? requestedImage : nodeImage,
+    memory: clamp(installer.Memory, node.memory || defaults.memory),
+    cpu: clamp(installer.Cpu, node.cpu || defaults.cpu),
+    timeout: clamp(op.timeout || installer.Timeout, node.timeout || defaults.timeout),
+  };
+};
+
+/**
+ * Runs a shell command in a throwaway installer container. Only the volume is
+ * mounted (at /data); the container is removed once the command has finished.
+ * @param {object} options
+ * @param {string} options.command - The command line, run through `sh -c`.
+ * @param {string} options.volumePath - Absolute path of the volume on the host.
+ * @param {string} options.volumeId - The volume identifier used for install events.
+ * @param {string[]} [options.env] - Environment in `KEY=value` form.
+ * @param {object} [options.installer] - The template's Installer block.
+ * @param {object} [options.op] - The install operation, for per-operation overrides.
+ * @returns {Promise<number>} The exit code of the command.
+ */
+const runInstallerCommand = async ({ command, volumePath, volumeId, env = [], installer, op }) => {
+  const settings = resolveInstallerOptions(installer, op);
+
+  await pullImage(settings.image, volumeId);
+
+  const container = await docker.createContainer({
+    name: `${volumeId}-installer-${Date.now()}`,
+    Image: settings.image,
+    Cmd: ["sh", "-c", command],
+    Entrypoint: [],
+    WorkingDir: "/data",
+    Env: env,
+    Tty: true,
+    AttachStdout: true,
+    AttachStderr: true,
+    HostConfig: {
+      Binds: [`${volumePath}:/data`],
+      Memory: settings.memory * 1024 * 1024,
+      MemorySwap: settings.memory * 1024 * 1024,
+      NanoCpus: Math.round(settings.cpu * 1e9),
+      NetworkMode: "bridge",
+      SecurityOpt: ["no-new-privileges"],
+    },
+  });
+  log.info(`[Wings] Installer container ${container.id.substring(0, 12)} created (${settings.image})`);
+
+  let timer;
+  try {
+    await container.start();
+
+    const logStream = await container.decodedLogs({ follow: true, stdout: true, stderr: true });
+    logStream.on("data", (frame) => {
+      install.emit(volumeId, "command:output", { stream: frame.stream, data: frame.data.toString("utf8") });
+    });
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        container.kill().catch(() => {});
+        reject(new Error(`Installer command timed out after ${settings.timeout}s`));
+      }, settings.timeout * 1000);
+    });
+
+    const result = await Promise.race([container.wait(), timeout]);
+    return result.StatusCode;
+  } finally {
+    clearTimeout(timer);
+    await container.remove({ force: true }).catch((err) =>
+      log.warn(`[Wings] Failed to remove installer container: ${err.message}`)
+    );
+  }
+};
+
+module.exports = { pullImage, runInstallerCommand };
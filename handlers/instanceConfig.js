@@ -0,0 +1,60 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { createLogger } = require("./logger");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+
+const log = createLogger();
+
+const instancesFilePath = path.join(__dirname, "../storage/instances.json");
+
+// Same read-modify-write chaining as handlers/states.js
+let pending = Promise.resolve();
+const serialize = (fn) => {
+  const run = pending.then(fn, fn);
+  pending = run.catch(() => {});
+  return run;
+};
+
+const readAll = async () => {
+  try {
+    return JSON.parse(await fs.readFile(instancesFilePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("Failed to read instances file:", err.message);
+    return {};
+  }
+};
+
+/**
+ * Returns the stored power definitions of an instance:
+ * `{ startup: { command, done, port, timeout, timeoutState }, stop: { command, signal, timeout },
+ *    restart: { policy, backoff, maxBackoff, crashLoopLimit, crashLoopWindow } }`.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<object|null>} The definitions, or null for instances deployed without them.
+ */
+const get = async (volumeId) => (await readAll())[volumeId] || null;
+
+/**
+ * Stores the power definitions of an instance, replacing previous ones.
+ * @param {string} volumeId - The volume identifier.
+ * @param {object} definitions - See get().
+ */
+const set = (volumeId, definitions) =>
+  serialize(async () => {
+    const instances = await readAll();
+    instances[volumeId] = definitions;
+    await writeFileAtomic(instancesFilePath, JSON.stringify(instances, null, 2));
+  });
+
+/**
+ * Forgets an instance.
+ * @param {string} volumeId - The volume identifier.
+ */
+const remove = (volumeId) =>
+  serialize(async () => {
+    const instances = await readAll();
+    if (!instances[volumeId]) return;
+    delete instances[volumeId];
+    await writeFileAtomic(instancesFilePath, JSON.stringify(instances, null, 2));
+  });
+
+module.exports = { get, set, remove };
@@ -0,0 +1,225 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+
+const log = createLogger();
+
+const jobsFilePath = path.join(__dirname, "../storage/jobs.json");
+// Finished jobs kept in storage/jobs.json for GET /jobs
+const maxFinished = 200;
+
+const jobs = {};
+const types = {};
+const cancelRequests = new Set();
+// Volumes with a running job. A volume runs one job at a time, so a redeploy and a
+// reinstall of the same volume never race on its container or files.
+const busyVolumes = new Set();
+let runningCount = 0;
+let saving = Promise.resolve();
+// Set by recover(); until then jobs are queued but not started
+let recovered = false;
+let loading = null;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+/**
+ * Registers a job type.
+ * @param {string} type - Job type name (e.g. "deploy").
+ * @param {object} definition
+ * @param {Array<{name: string, run: function(object): Promise<void>}>} definition.steps -
+ *   Ordered steps. Each step receives the job and may store progress in `job.data`.
+ *   A step must be safe to re-run, since an interrupted job resumes at the step it was on.
+ * @param {function(object, Error): Promise<void>} [definition.onFailure] - Called once
+ *   when the job fails or is cancelled.
+ */
+function register(type, definition) {
+  types[type] = definition;
+}
+
+// Reads storage/jobs.json once, before anything is saved, so jobs queued while the
+// daemon starts up are added to the persisted ones instead of replacing them
+function load() {
+  if (!loading) {
+    loading = fs
+      .readFile(jobsFilePath, "utf8")
+      .then((data) => {
+        for (const [id, job] of Object.entries(JSON.parse(data))) {
+          if (!jobs[id]) jobs[id] = job;
+        }
+      })
+      .catch((err) => {
+        if (err.code !== "ENOENT") log.error("Failed to read jobs file:", err.message);
+      });
+  }
+  return loading;
+}
+
+function save() {
+  const finished = Object.values(jobs)
+    .filter((job) => ["completed", "failed", "cancelled"].includes(job.status))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  finished.slice(maxFinished).forEach((job) => delete jobs[job.id]);
+
+  const snapshot = JSON.stringify(jobs, null, 2);
+  saving = saving
+    .then(() => writeFileAtomic(jobsFilePath, snapshot))
+    .catch((err) => log.error("Failed to persist jobs:", err.message));
+  return saving;
+}
+
+function touch(job, fields) {
+  Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  return save();
+}
+
+/**
+ * Queues a job.
+ * @param {string} type - A registered job type.
+ * @param {string} volumeId - The volume the job works on.
+ * @param {object} payload - Request data the steps need (persisted as-is).
+ * @returns {Promise<object>} The queued job.
+ */
+async function enqueue(type, volumeId, payload) {
+  if (!types[type]) throw new Error(`Unknown job type: ${type}`);
+  await load();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    volumeId,
+    status: "queued",
+    step: 0,
+    stepName: types[type].steps[0].name,
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    payload,
+    data: {},
+  };
+  jobs[job.id] = job;
+  await save();
+  log.info(`[Jobs] Queued ${type} job ${job.id} for volume ${volumeId}`);
+
+  setImmediate(pump);
+  return job;
+}
+
+async function fail(job, err, status = "failed") {
+  await touch(job, { status, lastError: err.message });
+  log.error(`[Jobs] ${job.type} job ${job.id} ${status}: ${err.message}`);
+  const definition = types[job.type];
+  if (definition && definition.onFailure) {
+    try {
+      await definition.onFailure(job, err);
+    } catch (hookErr) {
+      log.error(`[Jobs] onFailure hook of job ${job.id} failed:`, hookErr.message);
+    }
+  }
+}
+
+async function run(job) {
+  const { steps } = types[job.type];
+  await touch(job, { status: "running", attempts: job.attempts + 1 });
+
+  try {
+    while (job.step < steps.length) {
+      if (cancelRequests.has(job.id)) throw new JobCancelledError();
+      const step = steps[job.step];
+      await touch(job, { stepName: step.name });
+      log.info(`[Jobs] ${job.type} job ${job.id}: ${step.name}`);
+      await step.run(job);
+      await touch(job, { step: job.step + 1 });
+    }
+    await touch(job, { status: "completed", stepName: null });
+    log.info(`[Jobs] ${job.type} job ${job.id} completed`);
+  } catch (err) {
+    await fail(job, err, err instanceof JobCancelledError ? "cancelled" : "failed");
+  } finally {
+    cancelRequests.delete(job.id);
+  }
+}
+
+function pump() {
+  if (!recovered) return;
+  const queued = Object.values(jobs)
+    .filter((job) => job.status === "queued")
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    if (runningCount >= config.jobs.concurrency) break;
+    // Waits for the job ahead of it on the same volume
+    if (busyVolumes.has(job.volumeId)) continue;
+    runningCount++;
+    busyVolumes.add(job.volumeId);
+    run(job).finally(() => {
+      runningCount--;
+      busyVolumes.delete(job.volumeId);
+      pump();
+    });
+  }
+}
+
+/**
+ * Loads storage/jobs.json and deals with jobs interrupted by the last shutdown:
+ * they are queued again at their current step, or failed once out of attempts.
+ * No job starts before this has run.
+ * `jobs.maxAttempts` only limits these resumes; a step that throws fails the job at
+ * once and is not retried. Must be called after every job type has been registered.
+ */
+async function recover() {
+  await load();
+
+  for (const job of Object.values(jobs)) {
+    if (job.status !== "running") continue;
+
+    if (!types[job.type]) {
+      await fail(job, new Error(`Unknown job type: ${job.type}`));
+    } else if (job.attempts >= config.jobs.maxAttempts) {
+      await fail(job, new Error("Interrupted by a daemon restart too many times"));
+    } else {
+      log.warn(`[Jobs] Resuming ${job.type} job ${job.id} at step "${job.stepName}"`);
+      await touch(job, { status: "queued" });
+    }
+  }
+
+  recovered = true;
+  pump();
+}
+
+/**
+ * Cancels a job. Queued jobs stop immediately; running jobs stop before their next step.
+ * @param {string} id - The job identifier.
+ * @returns {Promise<object|null>} The job, or null when it does not exist.
+ */
+async function cancel(id) {
+  const job = jobs[id];
+  if (!job) return null;
+
+  if (job.status === "queued") {
+    await fail(job, new JobCancelledError(), "cancelled");
+  } else if (job.status === "running") {
+    cancelRequests.add(id);
+    await touch(job, { cancelRequested: true });
+  }
+  return job;
+}
+
+function get(id) {
+  return jobs[id] || null;
+}
+
+function list() {
+  return Object.values(jobs).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = { register, enqueue, recover, cancel, get, list, JobCancelledError };
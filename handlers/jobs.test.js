@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const atomic = require("../utils/AtomicFile");
+
+// storage/jobs.json lives in memory for these tests
+const jobsFilePath = path.join(__dirname, "../storage/jobs.json");
+let disk = null;
+test.mock.method(atomic, "writeFileAtomic", async (file, data) => {
+  if (file === jobsFilePath) disk = data;
+});
+const readFile = fs.promises.readFile;
+test.mock.method(fs.promises, "readFile", async (file, ...args) => {
+  if (file !== jobsFilePath) return readFile(file, ...args);
+  if (disk === null) throw Object.assign(new Error("ENOENT"), { code: "ENOENT" });
+  return disk;
+});
+
+// A fresh queue, as after a daemon restart with `stored` in storage/jobs.json
+const loadJobs = (stored) => {
+  disk = stored === undefined ? null : JSON.stringify(stored);
+  delete require.cache[require.resolve("./jobs")];
+  return require("./jobs");
+};
+
+const until = async (condition) => {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(condition(), "condition not reached");
+};
+
+const gate = () => {
+  let open;
+  const promise = new Promise((resolve) => (open = resolve));
+  return { promise, open };
+};
+
+const persisted = () => JSON.parse(disk);
+
+test("jobs run their steps in order once recovered and are persisted", async () => {
+  const jobs = loadJobs();
+  const calls = [];
+  jobs.register("t", {
+    steps: [
+      { name: "one", run: async (job) => calls.push(`one ${job.payload.n}`) },
+      { name: "two", run: async (job) => calls.push(`two ${job.payload.n}`) },
+    ],
+  });
+
+  const job = await jobs.enqueue("t", "vol1", { n: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepStrictEqual(calls, [], "nothing starts before recover()");
+
+  await jobs.recover();
+  await until(() => jobs.get(job.id).status === "completed");
+  assert.deepStrictEqual(calls, ["one 1", "two 1"]);
+  await until(() => persisted()[job.id].status === "completed");
+});
+
+test("jobs queued before recover() keep the persisted ones", async () => {
+  const stored = { old: { id: "old", type: "t", volumeId: "vol9", status: "completed", createdAt: "2020-01-01T00:00:00.000Z", updatedAt: "2020-01-01T00:00:00.000Z" } };
+  const jobs = loadJobs(stored);
+  jobs.register("t", { steps: [{ name: "one", run: async () => {} }] });
+
+  const job = await jobs.enqueue("t", "vol1", {});
+  assert.ok(persisted().old, "persisted job was dropped");
+  assert.ok(persisted()[job.id]);
+  await jobs.recover();
+  assert.strictEqual(jobs.get("old").status, "completed");
+});
+
+test("a volume runs one job at a time, other volumes run alongside", async () => {
+  const jobs = loadJobs();
+  const gates = { 1: gate(), 2: gate(), 3: gate() };
+  const started = [];
+  jobs.register("t", {
+    steps: [{ name: "wait", run: async (job) => { started.push(job.payload.n); await gates[job.payload.n].promise; } }],
+  });
+  await jobs.recover();
+
+  await jobs.enqueue("t", "vol1", { n: 1 });
+  await jobs.enqueue("t", "vol1", { n: 2 });
+  await jobs.enqueue("t", "vol2", { n: 3 });
+  await until(() => started.length === 2);
+  assert.deepStrictEqual(started.sort(), [1, 3]);
+
+  gates[1].open();
+  await until(() => started.length === 3);
+  assert.strictEqual(started[2], 2);
+  gates[2].open();
+  gates[3].open();
+});
+
+test("a failing step fails the job without a retry", async () => {
+  const jobs = loadJobs();
+  const failures = [];
+  jobs.register("t", {
+    steps: [{ name: "boom", run: async () => { throw new Error("boom"); } }],
+    onFailure: async (job, err) => failures.push(err.message),
+  });
+  await jobs.recover();
+
+  const job = await jobs.enqueue("t", "vol1", {});
+  await until(() => jobs.get(job.id).status === "failed");
+  assert.strictEqual(jobs.get(job.id).attempts, 1);
+  assert.strictEqual(jobs.get(job.id).lastError, "boom");
+  assert.deepStrictEqual(failures, ["boom"]);
+});
+
+test("cancel stops queued jobs at once and running jobs before their next step", async () => {
+  const jobs = loadJobs();
+  const first = gate();
+  const ran = [];
+  const failures = [];
+  jobs.register("t", {
+    steps: [
+      { name: "one", run: async (job) => { ran.push(`one ${job.payload.n}`); await first.promise; } },
+      { name: "two", run: async (job) => ran.push(`two ${job.payload.n}`) },
+    ],
+    onFailure: async (job, err) => failures.push(`${job.payload.n} ${err.message}`),
+  });
+  await jobs.recover();
+
+  const running = await jobs.enqueue("t", "vol1", { n: 1 });
+  const queued = await jobs.enqueue("t", "vol1", { n: 2 });
+  await until(() => ran.length === 1);
+
+  await jobs.cancel(queued.id);
+  assert.strictEqual(jobs.get(queued.id).status, "cancelled");
+
+  await jobs.cancel(running.id);
+  first.open();
+  await until(() => jobs.get(running.id).status === "cancelled");
+  assert.deepStrictEqual(ran, ["one 1"]);
+  assert.deepStrictEqual(failures.sort(), ["1 Job cancelled", "2 Job cancelled"]);
+  assert.strictEqual(await jobs.cancel("missing"), null);
+});
+
+test("recover resumes interrupted jobs at their step until they run out of attempts", async () => {
+  const at = "2024-01-01T00:00:00.000Z";
+  const interrupted = (id, attempts, type = "t") => ({
+    id, type, volumeId: id, status: "running", step: 1, stepName: "two", attempts,
+    lastError: null, createdAt: at, updatedAt: at, payload: {}, data: {},
+  });
+  const jobs = loadJobs({
+    resume: interrupted("resume", 1),
+    exhausted: interrupted("exhausted", 3),
+    unknown: interrupted("unknown", 0, "gone"),
+  });
+  const ran = [];
+  jobs.register("t", {
+    steps: [
+      { name: "one", run: async (job) => ran.push(`one ${job.id}`) },
+      { name: "two", run: async (job) => ran.push(`two ${job.id}`) },
+    ],
+  });
+
+  await jobs.recover();
+  await until(() => jobs.get("resume").status === "completed");
+  assert.deepStrictEqual(ran, ["two resume"]);
+  assert.strictEqual(jobs.get("resume").attempts, 2);
+  assert.strictEqual(jobs.get("exhausted").status, "failed");
+  assert.match(jobs.get("exhausted").lastError, /too many times/);
+  assert.strictEqual(jobs.get("unknown").status, "failed");
+});
@@ -0,0 +1,19 @@
+const CatLoggr = require("cat-loggr");
+const { config, events } = require("./config");
+
+// Every logger of the daemon, so a reloaded `logLevel` applies to all of them
+const loggers = new Set();
+
+/**
+ * Creates a logger using the configured `logLevel`.
+ * @returns {CatLoggr}
+ */
+function createLogger() {
+  const log = new CatLoggr({ level: config.logLevel });
+  loggers.add(log);
+  return log;
+}
+
+events.on("reload", () => loggers.forEach((log) => log.setLevel(config.logLevel)));
+
+module.exports = { createLogger };
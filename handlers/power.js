@@ -0,0 +1,187 @@
+const path = require("path");
+const Docker = require("../utils/Docker");
+const { createLogger } = require("./logger");
+const { calculateDirectorySize } = require("../utils/FileType");
+const { findByContainer, setStatus, markStopping } = require("./states");
+const instanceConfig = require("./instanceConfig");
+const readiness = require("./readiness");
+const containerEvents = require("./containerEvents");
+const consoleInput = require("./console");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const defaultStopTimeout = 10; // seconds
+
+/**
+ * A power action refused before anything was done to the container.
+ */
+class PowerError extends Error {
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.name = "PowerError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Runs a shell command inside a running container (detached, in /data).
+ * @param {import("../utils/Docker").Container} container - The container.
+ * @param {string} command - The command line, run through `sh -c`.
+ */
+const runCommand = async (container, command) => {
+  const exec = await container.exec({
+    Cmd: ["/bin/sh", "-c", command],
+    AttachStdout: false,
+    AttachStderr: false,
+    Tty: false,
+    WorkingDir: "/data",
+  });
+  await exec.start({ Detach: true, Tty: false });
+};
+
+/**
+ * Resolves the instance a container belongs to and its stored power definitions.
+ * Values from `overrides` are only used for instances deployed without definitions.
+ */
+const resolveInstance = async (containerId, overrides = {}) => {
+  const state = await findByContainer(containerId);
+  const stored = state ? await instanceConfig.get(state.volumeId) : null;
+  const definitions = stored || {
+    startup: { command: overrides.startCode || null, done: null },
+    stop: { command: overrides.stopCommand || null, signal: null, timeout: null },
+  };
+  return { state, definitions, stored: Boolean(stored) };
+};
+
+const checkDiskLimit = async (state) => {
+  if (!state || !state.diskLimit || state.diskLimit <= 0) return;
+  const volumePath = path.join(__dirname, "../volumes", state.volumeId);
+  const currentSizeMiB = (await calculateDirectorySize(volumePath)) / (1024 * 1024);
+  if (currentSizeMiB >= state.diskLimit) {
+    throw new PowerError("Cannot start: storage limit exceeded.", 403, {
+      currentUsageMiB: Math.round(currentSizeMiB),
+      limitMiB: state.diskLimit,
+    });
+  }
+};
+
+const startTimeout = 60000;
+
+const isRunning = async (container) => {
+  try {
+    const info = await container.inspect();
+    return Boolean(info && info.State && (info.State.Running === true || info.State.Status === "running"));
+  } catch (inspectErr) {
+    return false;
+  }
+};
+
+const waitForExit = async (container, seconds) =>
+  Boolean(await containerEvents.waitFor(container.id, ["die"], seconds * 1000));
+
+const isNotModified = (err) => err.statusCode === 304;
+
+/**
+ * Starts a container and runs the startup command of its instance once it is running.
+ * The instance is STARTING until its readiness rule passes (see handlers/readiness).
+ * @param {string} containerId - The container.
+ * @param {object} [overrides] - `{ startCode }` for instances without stored definitions.
+ * @returns {Promise<{running: boolean, startCommand: boolean}>}
+ * @throws {PowerError} When the storage limit of the volume is exceeded.
+ */
+const start = async (containerId, overrides = {}) => {
+  const container = docker.getContainer(containerId);
+  const { state, definitions } = await resolveInstance(containerId, overrides);
+  await checkDiskLimit(state);
+
+  // Registered before the start request so the event cannot be missed
+  const started = containerEvents.waitFor(containerId, ["start"], startTimeout);
+  await container.start();
+
+  let running = await isRunning(container);
+  if (running) started.cancel();
+  else running = Boolean(await started);
+  if (!running) {
+    log.warn(`[KS Wings] Container ${containerId} did not reach running state in 60s - skipping start command`);
+    return { running, startCommand: false };
+  }
+
+  if (state) {
+    try {
+      await readiness.watch(state.volumeId, container, definitions.startup || {});
+    } catch (err) {
+      log.error(`[KS Wings] Failed to watch readiness of ${state.volumeId}:`, err.message);
+    }
+  }
+
+  const command = definitions.startup && definitions.startup.command;
+  if (!command || !command.trim()) return { running, startCommand: false };
+
+  try {
+    await runCommand(container, command);
+    log.info(`[KS Wings] Start command executed in /data`);
+  } catch (err) {
+    log.error(`[KS Wings] Failed to run start command:`, err.message);
+  }
+  return { running, startCommand: true };
+};
+
+/**
+ * Stops a container the way its instance defines: the stop command (written to the
+ * server console) or stop signal is tried first, and the container is stopped by Docker
+ * if it has not exited after the stop timeout. A `stopCommand` override from the request
+ * body is still run as a shell command, as before instances stored their definitions.
+ * @param {string} containerId - The container.
+ * @param {object} [overrides] - `{ stopCommand }` for instances without stored definitions.
+ */
+const stop = async (containerId, overrides = {}) => {
+  const container = docker.getContainer(containerId);
+  const { state, definitions, stored } = await resolveInstance(containerId, overrides);
+  const { command, signal, timeout } = definitions.stop || {};
+  const stopTimeout = timeout || defaultStopTimeout;
+  if (state) await markStopping(state.volumeId);
+
+  // Nothing to wait for when the container is not running
+  let exited = !(await isRunning(container));
+  try {
+    if (!exited && command && command.trim()) {
+      const exit = waitForExit(container, stopTimeout);
+      if (stored) await consoleInput.send(container.id, command);
+      else await runCommand(container, command);
+      log.info(`[KS Wings] Stop command sent: ${command}`);
+      exited = await exit;
+    } else if (!exited && signal) {
+      const exit = waitForExit(container, stopTimeout);
+      await container.kill({ signal });
+      log.info(`[KS Wings] Sent ${signal} to container ${containerId}`);
+      exited = await exit;
+    }
+  } catch (err) {
+    log.error(`[KS Wings] Graceful stop failed:`, err.message);
+  }
+
+  if (!exited) {
+    try {
+      await container.stop({ t: command || signal ? 0 : stopTimeout });
+    } catch (err) {
+      if (!isNotModified(err)) throw err;
+    }
+  }
+
+  if (state) await setStatus(state.volumeId, "STOPPED", { readyAt: null });
+};
+
+/**
+ * Restarts a container through stop() and start(), so both ends of the instance
+ * definitions apply.
+ */
+const restart = async (containerId, overrides = {}) => {
+  // Refuse before stopping, rather than leaving the server down
+  await checkDiskLimit((await resolveInstance(containerId, overrides)).state);
+  await stop(containerId, overrides);
+  return start(containerId, overrides);
+};
+
+module.exports = { start, stop, restart, runCommand, PowerError };
@@ -0,0 +1,63 @@
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const audit = require("./audit");
+
+const log = createLogger();
+
+// ip -> { failures: [timestamps], bannedUntil }
+const clients = new Map();
+
+// Compares IPv4 clients the same whether they came in over IPv4 or IPv6 sockets
+const normalize = (ip) => String(ip || "unknown").replace(/^::ffff:/, "");
+
+const prune = (now) => {
+  for (const [ip, client] of clients) {
+    client.failures = client.failures.filter((at) => at > now - config.rateLimit.window * 1000);
+    if (client.failures.length === 0 && client.bannedUntil <= now) clients.delete(ip);
+  }
+};
+
+/**
+ * Returns the seconds an IP is still banned for, 0 when it is not banned.
+ * @param {string} ip - The source address.
+ * @returns {number}
+ */
+function banned(ip) {
+  const client = clients.get(normalize(ip));
+  const remaining = client ? client.bannedUntil - Date.now() : 0;
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Records a failed login. Bans the IP once it failed `maxFailures` times within the window.
+ * @param {string} ip - The source address.
+ * @param {string} source - "http", "ws" or "ftp".
+ */
+function fail(ip, source) {
+  const now = Date.now();
+  prune(now);
+
+  const address = normalize(ip);
+  const client = clients.get(address) || { failures: [], bannedUntil: 0 };
+  clients.set(address, client);
+  client.failures.push(now);
+
+  if (client.failures.length >= config.rateLimit.maxFailures && client.bannedUntil <= now) {
+    client.bannedUntil = now + config.rateLimit.banDuration * 1000;
+    client.failures = [];
+    log.warn(`[KS Wings] Banned ${address} for ${config.rateLimit.banDuration}s after ${config.rateLimit.maxFailures} failed ${source} logins`);
+    audit.record({ action: "auth.ban", ip: address, actor: source, details: { duration: config.rateLimit.banDuration } });
+  }
+}
+
+/**
+ * Express middleware refusing banned IPs before any credentials are checked.
+ */
+const middleware = (req, res, next) => {
+  const remaining = banned(req.ip);
+  if (!remaining) return next();
+  res.set("Retry-After", String(remaining));
+  res.status(429).json({ message: "Too many failed login attempts, try again later" });
+};
+
+module.exports = { banned, fail, middleware };
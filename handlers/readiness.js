@@ -0,0 +1,128 @@
+const net = require("net");
+const { ansiPattern } = require("../utils/Ansi");
+const { config } = require("./config");
+const { createLogger } = require("./logger");
+const { setStatus, events: stateEvents } = require("./states");
+
+const log = createLogger();
+
+const portCheckInterval = 2000;
+
+const watchers = {};
+
+const checkPort = (host, port) =>
+  new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(portCheckInterval, () => done(false));
+    socket.once("connect", () => done(true));
+    socket.once("error", () => done(false));
+  });
+
+/**
+ * Stops watching the readiness of an instance without changing its state.
+ * @param {string} volumeId - The volume identifier.
+ */
+function cancel(volumeId) {
+  const watcher = watchers[volumeId];
+  if (!watcher) return;
+  delete watchers[volumeId];
+  watcher.cleanup();
+}
+
+/**
+ * Marks an instance STARTING and moves it to RUNNING once its readiness rule passes:
+ * `startup.done` is matched against every console line, `startup.port` is checked for
+ * accepting TCP connections. Without a rule the instance is RUNNING right away; an invalid
+ * `startup.done` pattern is ignored. When the rule has not passed after the timeout the
+ * instance moves to the timeout state.
+ *
+ * Resolves once the watch is in place (the console is already being followed), so the
+ * startup command can be run afterwards without missing its output.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @param {import("../utils/Docker").Container} container - The running container.
+ * @param {object} [startup] - The startup definitions of the instance.
+ */
+async function watch(volumeId, container, startup = {}) {
+  cancel(volumeId);
+
+  const { port } = startup;
+  // Compiled before the state changes, so a bad pattern cannot leave the instance STARTING
+  let pattern = null;
+  if (startup.done) {
+    try {
+      pattern = new RegExp(startup.done);
+    } catch (err) {
+      log.error(`[KS Wings] Ignoring invalid readiness pattern of ${volumeId}: ${err.message}`);
+    }
+  }
+  const done = pattern && startup.done;
+  if (!done && !port) {
+    await setStatus(volumeId, "RUNNING", { readyAt: new Date().toISOString() });
+    return;
+  }
+
+  await setStatus(volumeId, "STARTING", { readyAt: null });
+
+  const startedAt = Date.now();
+  const timeout = startup.timeout || config.readiness.timeout;
+  const watcher = { timers: [], stream: null };
+  watcher.cleanup = () => {
+    watcher.timers.forEach(clearTimeout);
+    if (watcher.stream) watcher.stream.destroy();
+  };
+  watchers[volumeId] = watcher;
+
+  const finish = (state, reason) => {
+    if (watchers[volumeId] !== watcher) return;
+    cancel(volumeId);
+    log.info(`[KS Wings] Instance ${volumeId} is ${state} (${reason})`);
+    setStatus(volumeId, state, { readyAt: state === "RUNNING" ? new Date().toISOString() : null }).catch((err) =>
+      log.error(`Failed to update state of ${volumeId}:`, err.message)
+    );
+  };
+
+  watcher.timers.push(
+    setTimeout(() => finish(startup.timeoutState || config.readiness.timeoutState, `not ready after ${timeout}s`), timeout * 1000)
+  );
+
+  if (done) {
+    const stream = await container.decodedLogs({ follow: true, stdout: true, stderr: true, tail: 0 });
+    watcher.stream = stream;
+    let pending = "";
+    stream.on("data", (frame) => {
+      const lines = (pending + frame.data.toString("utf8")).split(/\r?\n/);
+      pending = lines.pop();
+      // An unterminated line (e.g. a prompt) is tested too, and again once it completes
+      for (const line of [...lines, pending]) {
+        if (pattern.test(line.replace(ansiPattern, ""))) {
+          finish("RUNNING", `console matched ${done} after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+          return;
+        }
+      }
+    });
+    stream.on("error", (err) => log.warn(`Readiness log stream of ${volumeId} failed: ${err.message}`));
+  }
+
+  if (port) {
+    const host = startup.host || "127.0.0.1";
+    const poll = async () => {
+      if (watchers[volumeId] !== watcher) return;
+      if (await checkPort(host, port)) {
+        finish("RUNNING", `port ${port} open after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+      } else if (watchers[volumeId] === watcher) {
+        watcher.timers.push(setTimeout(poll, portCheckInterval));
+      }
+    };
+    poll();
+  }
+}
+
+// Deletions and stops end the watch before the instance is marked STOPPING
+stateEvents.on("stopping", cancel);
+
+module.exports = { watch, cancel };
@@ -0,0 +1,122 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+
+const statesFilePath = path.join(__dirname, "../storage/states.json");
+
+// Emits "change" with `{ volumeId, state, containerId }` after every state update,
+// and "stopping" with the volume ID before an instance is marked STOPPING
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Read-modify-write cycles are chained so concurrent jobs don't drop each other's updates
+let pending = Promise.resolve();
+const serialize = (fn) => {
+  const run = pending.then(fn, fn);
+  pending = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Reads storage/states.json, creating it when missing.
+ * @returns {Promise<object>} Map of volume ID to its state entry.
+ */
+const readStates = async () => {
+  try {
+    if (!fsSync.existsSync(statesFilePath)) {
+      await fs.writeFile(statesFilePath, JSON.stringify({}, null, 2));
+    }
+    const data = await fs.readFile(statesFilePath, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+};
+
+/**
+ * Persists the full states map.
+ * @param {object} states - Map of volume ID to its state entry.
+ */
+const writeStates = async (states) => {
+  await writeFileAtomic(statesFilePath, JSON.stringify(states, null, 2));
+};
+
+/**
+ * Replaces the state entry of a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} state - INSTALLING, STOPPED, READY, STARTING, RUNNING, FAILED, ...
+ * @param {string|null} [containerId] - The container bound to the volume.
+ * @param {number|null} [diskLimit] - Disk limit in MiB (0 = unlimited).
+ */
+const updateState = (volumeId, state, containerId = null, diskLimit = null) =>
+  serialize(async () => {
+    const states = await readStates();
+    states[volumeId] = { state, containerId, diskLimit };
+    await writeStates(states);
+    events.emit("change", { volumeId, state, containerId });
+  });
+
+/**
+ * Changes only the state of a volume, keeping its container and disk limit.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} state - The new state.
+ * @param {object} [fields] - Extra fields to store on the entry (e.g. `{ readyAt }`).
+ */
+const setStatus = (volumeId, state, fields = {}) =>
+  serialize(async () => {
+    const states = await readStates();
+    const entry = { ...(states[volumeId] || { containerId: null, diskLimit: null }), ...fields, state };
+    states[volumeId] = entry;
+    await writeStates(states);
+    events.emit("change", { volumeId, state, containerId: entry.containerId });
+  });
+
+/**
+ * Marks an instance STOPPING before its container is stopped or removed. Tells the crash
+ * watcher that the exit which follows is expected; "stopping" listeners (the readiness
+ * watcher) run first. Volumes without a state entry are left alone.
+ * @param {string} volumeId - The volume identifier.
+ */
+const markStopping = (volumeId) => {
+  events.emit("stopping", volumeId);
+  return serialize(async () => {
+    const states = await readStates();
+    if (!states[volumeId]) return;
+    const entry = { ...states[volumeId], readyAt: null, state: "STOPPING" };
+    states[volumeId] = entry;
+    await writeStates(states);
+    events.emit("change", { volumeId, state: "STOPPING", containerId: entry.containerId });
+  });
+};
+
+/**
+ * Forgets the state of a deleted volume.
+ * @param {string} volumeId - The volume identifier.
+ */
+const removeState = (volumeId) =>
+  serialize(async () => {
+    const states = await readStates();
+    if (!states[volumeId]) return;
+    delete states[volumeId];
+    await writeStates(states);
+  });
+
+/**
+ * Finds the state entry of the volume a container belongs to.
+ * @param {string} containerId - Full or abbreviated container ID.
+ * @returns {Promise<object|null>} The entry with its `volumeId`, or null when unknown.
+ */
+const findByContainer = async (containerId) => {
+  const states = await readStates();
+  for (const [volumeId, state] of Object.entries(states)) {
+    if (state.containerId && containerId && state.containerId.startsWith(containerId)) {
+      return { volumeId, ...state };
+    }
+  }
+  return null;
+};
+
+module.exports = { statesFilePath, readStates, writeStates, updateState, setStatus, markStopping, removeState, findByContainer, events };
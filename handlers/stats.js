@@ -1,8 +1,8 @@
 const os = require("os");
 const fs = require("fs");
 const path = require("path");
-const CatLoggr = require("cat-loggr");
-const log = new CatLoggr();
+const { createLogger } = require("./logger");
+const log = createLogger();
 const osut = require("os-utils");
 
 const storagePath = path.join(__dirname, "../storage/systemStats.json");
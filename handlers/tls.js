@@ -0,0 +1,93 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const EventEmitter = require("events");
+const { config, events: configEvents, ConfigError } = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger();
+
+// Emits "reload" with the new `{ cert, key, ca }` after the certificate was reloaded
+const events = new EventEmitter();
+
+let current = null;
+let server = null;
+
+/**
+ * Reads the certificate files named in `config.tls`.
+ * @returns {{cert: Buffer, key: Buffer, ca?: Buffer}|null} The TLS options, or null when TLS is disabled.
+ * @throws {ConfigError} When a file is not set or cannot be read.
+ */
+function load() {
+  const settings = config.tls || {};
+  if (!settings.enabled) return null;
+
+  const errors = [];
+  const read = (name, required) => {
+    if (!settings[name]) {
+      if (required) errors.push(`tls.${name} is required when TLS is enabled`);
+      return undefined;
+    }
+    try {
+      return fs.readFileSync(settings[name]);
+    } catch (err) {
+      errors.push(`tls.${name} cannot be read: ${err.message}`);
+      return undefined;
+    }
+  };
+  const options = { cert: read("cert", true), key: read("key", true) };
+  const ca = read("ca", false);
+  if (ca) options.ca = ca;
+  if (errors.length > 0) throw new ConfigError(errors);
+  return options;
+}
+
+/**
+ * Returns the TLS options in use, or null when TLS is disabled.
+ */
+const options = () => current;
+
+/**
+ * Creates the API server: HTTPS when TLS is enabled in config.json, HTTP otherwise.
+ * @param {function} app - The request handler.
+ * @returns {http.Server|https.Server}
+ * @throws {ConfigError} When the certificate files are missing or unreadable.
+ */
+function createServer(app) {
+  current = load();
+  if (!current) {
+    server = http.createServer(app);
+  } else {
+    log.info(`TLS enabled with certificate ${config.tls.cert}`);
+    server = https.createServer(current, app);
+  }
+  return server;
+}
+
+/**
+ * Reads the certificate files again and swaps them into the server returned by
+ * createServer(). Existing connections keep their session; new ones use the new
+ * certificate. On failure the previous certificate stays in use. Runs on every
+ * configuration reload (SIGHUP or POST /node/reload), and on SIGHUP even when the
+ * configuration itself is invalid.
+ */
+function reload() {
+  if (!current) return;
+  try {
+    const next = load();
+    if (!next) {
+      log.warn("TLS cannot be disabled without a restart, keeping the current certificate");
+      return;
+    }
+    server.setSecureContext(next);
+    current = next;
+    events.emit("reload", next);
+    log.info("TLS certificate reloaded");
+  } catch (err) {
+    log.error(`Failed to reload TLS certificate, keeping the current one: ${err.message}`);
+  }
+}
+
+configEvents.on("reload", reload);
+
+module.exports = { createServer, reload, options, events };
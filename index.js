@@ -3,29 +3,55 @@ process.env.dockerSocket =
     ? "//./pipe/docker_engine"
     : "/var/run/docker.sock";
 
+// Loaded before anything else, so an invalid configuration stops the daemon with a
+// readable list of problems instead of a crash somewhere during startup
+let configModule;
+try {
+  configModule = require("./handlers/config.js");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const { config } = configModule;
+
 const express = require("express");
 const basicAuth = require("express-basic-auth");
 const bodyParser = require("body-parser");
-const CatLoggr = require("cat-loggr");
+const { createLogger } = require("./handlers/logger.js");
 const WebSocket = require("ws");
-const http = require("http");
 const fs = require("node:fs");
 const path = require("path");
 const chalk = require("chalk");
 const fs2 = require("fs").promises;
 const ascii = fs.readFileSync("./handlers/ascii.txt", "utf8");
 const { start } = require("./handlers/ftp.js");
-const config = require("./config.json");
 const statsLogger = require("./handlers/stats.js");
+const install = require("./handlers/install.js");
+const jobs = require("./handlers/jobs.js");
+const power = require("./handlers/power.js");
+const states = require("./handlers/states.js");
+const crashes = require("./handlers/crashes.js");
+const containerEvents = require("./handlers/containerEvents.js");
+const consoleInput = require("./handlers/console.js");
+const consoleHistory = require("./handlers/consoleHistory.js");
+const auth = require("./handlers/auth.js");
+const tls = require("./handlers/tls.js");
+const rateLimiter = require("./handlers/rateLimiter.js");
+const audit = require("./handlers/audit.js");
 
 const Docker = require("./utils/Docker");
 
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
 const app = express();
-const server = http.createServer(app);
-const log = new CatLoggr();
-const containerLogs = {}; // Global store for logs
+let server;
+try {
+  server = tls.createServer(app);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const log = createLogger();
 
 console.log(chalk.gray(ascii) + chalk.white(`version v${config.version}\n`));
 
@@ -47,7 +73,11 @@ async function init() {
     log.info("storage folder created successfully");
 
     statsLogger.initLogger();
+    containerEvents.start();
     loadRouters();
+    // Job types are registered by the routers, so recovery has to come after them
+    await jobs.recover();
+    crashes.watch();
   } catch (error) {
     log.error("failed to retrieve image list from remote! the panel might be down. error:", error.message);
     process.exit(1);
@@ -56,13 +86,31 @@ async function init() {
 
 init();
 
+// Liveness probe, reachable without credentials. Everything else about the node is
+// behind the node key at GET /node/info.
+app.get("/", (req, res) => {
+  res.json({ online: true });
+});
+
 app.use(bodyParser.json());
+// Banned addresses are refused before any credentials are looked at
+app.use(rateLimiter.middleware);
+// Instance-scoped tokens are checked first; everything else needs the node key
 app.use(
-  basicAuth({
-    users: { kspanel: config.key },
-    challenge: true,
-  })
+  auth.middleware(
+    basicAuth({
+      // Checked per request, so rotated keys apply at once (see handlers/auth.js)
+      authorizer: (user, password) => basicAuth.safeCompare(user, "kspanel") & auth.isNodeKey(password),
+      challenge: true,
+      unauthorizedResponse: (req) => {
+        // Browsers ask without credentials first, only count actual guesses
+        if (req.headers.authorization) rateLimiter.fail(req.ip, "http");
+        return "";
+      },
+    })
+  )
 );
+app.use(audit.middleware);
 
 async function startLoggingStats() {
   setInterval(async () => {
@@ -179,12 +227,6 @@ function loadRouters() {
 }
 
 // Utility functions (global)
-function initializeContainerLogs(containerId) {
-  if (!containerLogs[containerId]) {
-    containerLogs[containerId] = [];
-  }
-}
-
 function formatLogMessage(logMessage) {
   const { content } = logMessage;
   return content
@@ -195,56 +237,25 @@ function formatLogMessage(logMessage) {
 }
 
 async function streamDockerLogs(ws, container) {
-  const containerId = container.id;
-  initializeContainerLogs(containerId);
-
-  if (containerLogs[containerId].length > 0) {
-    containerLogs[containerId].forEach((logMessage) => {
-      ws.send(formatLogMessage(logMessage));
-    });
-  }
-
   try {
-    const logStream = await container.logs({
-      follow: true,
-      stdout: true,
-      stderr: true,
-      tail: 0,
-    });
-
-    if (!logStream) {
-      throw new Error("Log stream is undefined");
-    }
+    const containerId = await consoleHistory.resolveId(container.id);
+    await consoleHistory.follow(containerId);
 
-    logStream.on("data", (chunk) => {
-      // === ONLY CHANGE: Strip Docker's 8-byte binary header (stdout/stderr frame) ===
-      // This is the exact reason server logs were invisible/garbage before
-      let content = chunk.length > 8 
-        ? chunk.slice(8).toString('utf8') 
-        : chunk.toString('utf8');
+    // Replay the recent console so new clients see what happened before they joined
+    const replay = consoleHistory
+      .get(containerId, { lines: config.console.replayLines })
+      .map((entry) => formatLogMessage({ content: entry.line }))
+      .join('');
+    if (replay && ws.readyState === ws.OPEN) ws.send(replay);
 
-      const logMessage = {
-        timestamp: new Date().toISOString(),
-        content: content,
-      };
-      containerLogs[containerId].push(logMessage);
-      const formattedMessage = formatLogMessage(logMessage);
+    const unsubscribe = consoleHistory.subscribe(containerId, (logMessage) => {
       if (ws.readyState === ws.OPEN && ws.bufferedAmount === 0) {
-        ws.send(formattedMessage);
-      }
-    });
-
-    logStream.on("error", (err) => {
-      log.error(`Docker log stream error: ${err.message}`);
-      if (ws.readyState === ws.OPEN) {
-        ws.send(`\r\n\u001b[31m[kswings] \x1b[0mLog stream error: ${err.message}\r\n`);
+        ws.send(formatLogMessage(logMessage));
       }
     });
 
     ws.on('close', () => {
-      try {
-        logStream.destroy();
-      } catch (_) {}
+      unsubscribe();
       log.info("WebSocket client disconnected");
     });
   } catch (err) {
@@ -319,6 +330,17 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
 }
 
+async function sendConsoleInput(ws, container, input) {
+  try {
+    await consoleInput.send(container.id, input);
+  } catch (err) {
+    log.error("Failed to send console input:", err.message);
+    if (ws.readyState === ws.OPEN) {
+      ws.send(`\r\n\u001b[31m[kswings] \x1b[0mFailed to send input: ${err.message}\r\n`);
+    }
+  }
+}
+
 async function executeCommand(ws, container, command) {
   try {
     const exec = await container.exec({
@@ -328,7 +350,7 @@ async function executeCommand(ws, container, command) {
       AttachStderr: true,
       Tty: true
     });
-    const stream = await exec.start();
+    const stream = await exec.start({ Tty: true });
     stream.on("data", (chunk) => {
       if (ws.readyState === ws.OPEN) {
         ws.send(chunk.toString('utf8'));
@@ -354,13 +376,7 @@ async function executeCommand(ws, container, command) {
 }
 
 async function performPowerAction(ws, container, action) {
-  const actionMap = {
-    start: container.start.bind(container),
-    stop: container.stop.bind(container),
-    restart: container.restart.bind(container),
-  };
-
-  if (!actionMap[action]) {
+  if (!["start", "stop", "restart"].includes(action)) {
     if (ws.readyState === ws.OPEN) {
       ws.send(`\r\n\u001b[33m[kswings] \x1b[0mInvalid action: ${action}\r\n`);
     }
@@ -369,56 +385,19 @@ async function performPowerAction(ws, container, action) {
 
   const containerId = container.id;
 
-  if (action === "start" || action === "restart") {
-    try {
-      const containerInfo = await container.inspect();
-      const dataMount = containerInfo.Mounts.find(
-        (m) => m.Type === "bind" && m.Destination === "/app/data"
-      );
-
-      if (dataMount) {
-        const volumePath = dataMount.Source;
-        const volumeId = path.basename(volumePath);
-        const statesFilePath = path.join(__dirname, "storage/states.json");
-
-        if (fs.existsSync(statesFilePath)) {
-          const statesData = JSON.parse(fs.readFileSync(statesFilePath, "utf8"));
-          if (statesData[volumeId] && statesData[volumeId].diskLimit > 0) {
-            const volumeSize = await getVolumeSize(volumeId);
-            const volumeSizeMiB = parseFloat(volumeSize) || 0;
-            if (volumeSizeMiB >= statesData[volumeId].diskLimit) {
-              if (ws.readyState === ws.OPEN) {
-                ws.send(
-                  `\r\n\u001b[31m[kswings] \x1b[0mCannot ${action}: storage limit exceeded (${volumeSizeMiB.toFixed(2)} MiB / ${statesData[volumeId].diskLimit} MiB). Delete files or increase limit.\r\n`
-                );
-              }
-              return;
-            }
-          }
-        }
-      }
-    } catch (checkErr) {
-      log.warn("Failed to check storage limit for power action:", checkErr.message);
-    }
-  }
-
   const message = `\r\n\u001b[33m[kswings] \x1b[0mWorking on ${action}...\r\n`;
   if (ws.readyState === ws.OPEN) ws.send(message);
 
   try {
-    if (action === "restart" || action === "stop") {
-      containerLogs[containerId] = [];
-    }
-
-    streamDockerLogs(ws, container);
-
-    await actionMap[action]();
+    await power[action](containerId);
 
     const successMessage = `\r\n\u001b[32m[kswings] \x1b[0m${action.charAt(0).toUpperCase() + action.slice(1)} action completed.\r\n`;
     if (ws.readyState === ws.OPEN) ws.send(successMessage);
   } catch (err) {
     log.error(`Error performing ${action} action:`, err.message);
-    const errorMessage = `\r\n\u001b[31m[kswings] \x1b[0mAction failed: ${err.message}\r\n`;
+    const errorMessage = err instanceof power.PowerError && err.details.limitMiB
+      ? `\r\n\u001b[31m[kswings] \x1b[0mCannot ${action}: storage limit exceeded (${err.details.currentUsageMiB} MiB / ${err.details.limitMiB} MiB). Delete files or increase limit.\r\n`
+      : `\r\n\u001b[31m[kswings] \x1b[0mAction failed: ${err.message}\r\n`;
     if (ws.readyState === ws.OPEN) ws.send(errorMessage);
   }
 }
@@ -427,7 +406,14 @@ function initializeWebSocketServer(server) {
   const wss = new WebSocket.Server({ server });
 
   wss.on("connection", (ws, req) => {
-    let isAuthenticated = false;
+    // Pinned at auth time: `{ claims, container, containerId, volumeId }`. Messages only
+    // ever act on this container, whatever they or the URL say afterwards.
+    let session = null;
+    // Set while the first auth message is checked, so a second one cannot slip through
+    let authenticating = false;
+    const ip = req.socket.remoteAddress;
+    // Token claims are null when the session authenticated with the node key
+    const allows = (action) => !session.claims || session.claims.actions.includes(action);
 
     ws.on("message", async (message) => {
       log.debug("got " + message);
@@ -440,44 +426,73 @@ function initializeWebSocketServer(server) {
       }
 
       if (msg.event === "auth" && msg.args) {
-        authenticateWebSocket(
-          ws,
-          req,
-          msg.args[0],
-          (authenticated, containerId, volumeId) => {
-            if (authenticated) {
-              isAuthenticated = true;
-              handleWebSocketConnection(ws, req, containerId, volumeId);
-            } else {
-              if (ws.readyState === ws.OPEN) ws.send("Authentication failed");
-              ws.close(1008, "Authentication failed");
-            }
-          }
-        );
-      } else if (isAuthenticated) {
-        const urlParts = req.url.split("/");
-        const containerId = urlParts[2];
-
-        if (!containerId) {
-          ws.close(1008, "Container ID not specified");
+        if (session || authenticating) {
+          if (ws.readyState === ws.OPEN) ws.send("Already authenticated");
           return;
         }
-
-        const container = docker.getContainer(containerId);
+        authenticating = true;
+        if (rateLimiter.banned(ip)) {
+          if (ws.readyState === ws.OPEN) ws.send("Too many failed login attempts, try again later");
+          ws.close(1008, "Too many failed login attempts");
+          return;
+        }
+        try {
+          session = await authenticateWebSocket(ws, req, msg.args[0]);
+        } catch (err) {
+          log.warn(`authentication failure on websocket! (${err.message})`);
+          if (err instanceof auth.AuthError && err.statusCode === 401) rateLimiter.fail(ip, "ws");
+          if (ws.readyState === ws.OPEN) ws.send(`Authentication failed: ${err.message}`);
+          ws.close(1008, "Authentication failed");
+          return;
+        }
+        log.info("successful authentication on ws");
+        if (ws.readyState === ws.OPEN) ws.send(`\r\n\u001b[33m[kswings] \x1b[0mconnected!\r\n`);
+        handleWebSocketConnection(ws, req, session);
+      } else if (session) {
+        if (!session.container) {
+          if (ws.readyState === ws.OPEN) ws.send("Unsupported event");
+          return;
+        }
+        const { container } = session;
 
         switch (msg.event) {
-          case "cmd":
-            if (msg.args && msg.args[0]) executeCommand(ws, container, msg.args[0]);
-            else if (msg.command) executeCommand(ws, container, msg.command); // Fallback for old format
+          case "cmd": {
+            const input = msg.args && msg.args[0] ? msg.args[0] : msg.command; // Fallback for old format
+            if (input) sendConsoleInput(ws, container, input);
             break;
-          case "power:start":
-            performPowerAction(ws, container, "start");
+          }
+          case "shell":
+            // Shell commands bypass the server process, so nodes have to opt in and
+            // tokens have to grant "shell" explicitly ("console" is not enough)
+            if (!config.console || !config.console.allowShell) {
+              if (ws.readyState === ws.OPEN) {
+                ws.send(`\r\n\u001b[31m[kswings] \x1b[0mShell commands are disabled on this node\r\n`);
+              }
+            } else if (!allows("shell")) {
+              if (ws.readyState === ws.OPEN) {
+                ws.send(`\r\n\u001b[31m[kswings] \x1b[0mThis session may not run shell commands\r\n`);
+              }
+            } else if (msg.args && msg.args[0]) {
+              executeCommand(ws, container, msg.args[0]);
+            }
             break;
+          case "power:start":
           case "power:stop":
-            performPowerAction(ws, container, "stop");
-            break;
           case "power:restart":
-            performPowerAction(ws, container, "restart");
+            if (!allows("power")) {
+              if (ws.readyState === ws.OPEN) {
+                ws.send(`\r\n\u001b[31m[kswings] \x1b[0mThis session may not use power actions\r\n`);
+              }
+              break;
+            }
+            performPowerAction(ws, container, msg.event.slice("power:".length));
+            audit.record({
+              action: msg.event.replace(":", "."),
+              instance: session.volumeId,
+              actor: session.claims ? `token:${session.claims.instance}` : "node",
+              ip,
+              details: { via: "ws" },
+            });
             break;
           default:
             if (ws.readyState === ws.OPEN) ws.send("Unsupported event");
@@ -489,48 +504,114 @@ function initializeWebSocketServer(server) {
       }
     });
 
-    function authenticateWebSocket(ws, req, password, callback) {
-      if (password === config.key) {
-        log.info("successful authentication on ws");
-        if (ws.readyState === ws.OPEN) ws.send(`\r\n\u001b[33m[kswings] \x1b[0mconnected!\r\n`);
-        const urlParts = req.url.split("/");
-        const containerId = urlParts[2];
-        const volumeId = urlParts[3] || 0;
+    /**
+     * Authenticates a connection and pins the container and volume it may use.
+     * `password` is either the node key, which grants everything, or a token (see
+     * handlers/auth.js) granting console access to one instance.
+     *
+     * URLs are /exec/<container>, /stats/<container>/<volume> and /install/<volume>.
+     * A token must be issued for the volume of the container, and for the container
+     * itself when it names one.
+     *
+     * @returns {Promise<{claims: object|null, container: object|null, containerId: string|null, volumeId: string}>}
+     * @throws {Error} When the secret or the URL is not acceptable.
+     */
+    async function authenticateWebSocket(ws, req, password) {
+      const [, channel, id, urlVolumeId] = req.url.split("?")[0].split("/");
+      if (!["exec", "stats", "install"].includes(channel)) {
+        throw new Error("URL must start with /exec/, /stats/ or /install/");
+      }
+      if (!id) throw new Error(`${channel === "install" ? "Volume" : "Container"} ID not specified`);
 
-        if (!containerId) {
-          ws.close(1008, "Container ID not specified");
-          callback(false, null, null);
-          return;
+      const claims = auth.isNodeKey(password) ? null : auth.verify(password);
+
+      // The install channel is keyed by volume and exists before any container does
+      if (channel === "install") {
+        if (claims) await auth.requireAccess(claims, "console", [id]);
+        return { claims, container: null, containerId: null, volumeId: id };
+      }
+
+      let data;
+      try {
+        data = await docker.getContainer(id).inspect();
+      } catch (err) {
+        throw new Error("Container not found");
+      }
+
+      // The states file knows which container each volume runs in; containers it does
+      // not know only get the volume they are named after, if no other container owns it
+      let volumeId;
+      const entry = await states.findByContainer(data.Id);
+      if (entry) {
+        volumeId = entry.volumeId;
+      } else {
+        volumeId = data.Name.replace(/^\//, "");
+        const owner = (await states.readStates())[volumeId];
+        if (owner && owner.containerId) throw new Error("Container does not belong to its volume");
+      }
+      if (channel === "stats" && urlVolumeId !== volumeId) {
+        throw new Error("Volume does not belong to this container");
+      }
+
+      if (claims) {
+        await auth.requireAccess(claims, "console", [volumeId]);
+        if (claims.container && !data.Id.startsWith(claims.container)) {
+          throw new Error("Token was issued for another container");
         }
+      }
+
+      return { claims, container: docker.getContainer(data.Id), containerId: data.Id, volumeId };
+    }
 
-        callback(true, containerId, parseInt(volumeId));
+    function handleWebSocketConnection(ws, req, { container, volumeId }) {
+      if (req.url.startsWith("/install/")) {
+        setupInstallStream(ws, volumeId);
+      } else if (req.url.startsWith("/exec/")) {
+        setupExecSession(ws, container);
       } else {
-        log.warn("authentication failure on websocket!");
-        callback(false, null, null);
+        setupStatsStreaming(ws, container, volumeId);
       }
     }
 
-    function handleWebSocketConnection(ws, req, containerId, volumeId) {
-      const container = docker.getContainer(containerId);
+    async function setupExecSession(ws, container) {
+      streamDockerLogs(ws, container);
 
-      container.inspect(async (err, data) => {
-        if (err) {
-          if (ws.readyState === ws.OPEN) ws.send("Container not found");
-          return;
+      const sendState = ({ volumeId, state }) => {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ event: "state", args: [{ volumeId, state }] }));
         }
+      };
+      const onStateChange = (change) => {
+        if (change.containerId && change.containerId.startsWith(container.id)) sendState(change);
+      };
 
-        if (req.url.startsWith("/exec/")) {
-          setupExecSession(ws, container);
-        } else if (req.url.startsWith("/stats/")) {
-          setupStatsStreaming(ws, container, volumeId);
-        } else {
-          ws.close(1002, "URL must start with /exec/ or /stats/");
+      const onCrash = (crash) => {
+        if (crash.containerId.startsWith(container.id) && ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ event: "crash", args: [crash] }));
         }
+      };
+
+      const current = await states.findByContainer(container.id);
+      if (current) sendState(current);
+      states.events.on("change", onStateChange);
+      crashes.events.on("crash", onCrash);
+
+      ws.on('close', () => {
+        states.events.removeListener("change", onStateChange);
+        crashes.events.removeListener("crash", onCrash);
       });
     }
 
-    async function setupExecSession(ws, container) {
-      streamDockerLogs(ws, container);
+    function setupInstallStream(ws, volumeId) {
+      const unsubscribe = install.subscribe(volumeId, (event) => {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ event: event.type, args: [event] }));
+        }
+      });
+
+      ws.on('close', () => {
+        unsubscribe();
+      });
     }
 
     async function setupStatsStreaming(ws, container, volumeId) {
@@ -549,14 +630,32 @@ function initializeWebSocketServer(server) {
 
       let hasAutoStopped = false;
 
+      // Kept up to date from Docker events instead of inspecting every second
+      let running = false;
+      try {
+        running = (await container.inspect()).State.Running === true;
+      } catch (err) {
+        log.warn(`Failed to inspect container ${container.id}:`, err.message);
+      }
+      const offStart = containerEvents.on("start", (event) => {
+        if (containerEvents.matches(event, container.id)) running = true;
+      });
+      const offDie = containerEvents.on("die", (event) => {
+        if (containerEvents.matches(event, container.id)) running = false;
+      });
+
+      const readStats = async () => {
+        const response = await container.stats({ stream: false });
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+        return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      };
+
       const fetchStats = async () => {
         try {
-          const stats = await new Promise((resolve, reject) => {
-            container.stats({ stream: false }, (err, data) => {
-              if (err) reject(err);
-              else resolve(data);
-            });
-          });
+          // A stopped container has no stats to report, only its volume
+          const stats = running ? await readStats() : {};
+          stats.running = running;
 
           const volumeSize = await getVolumeSize(volumeId.toString());
           stats.volumeSize = volumeSize;
@@ -565,13 +664,10 @@ function initializeWebSocketServer(server) {
           const storageExceeded = diskLimit > 0 && volumeSizeMiB >= diskLimit;
           stats.storageExceeded = storageExceeded;
 
-          if (storageExceeded && !hasAutoStopped) {
-            const containerInfo = await container.inspect();
-            if (containerInfo.State.Running) {
-              log.warn(`Storage exceeded for container ${container.id} - auto-stopping`);
-              await container.stop();
-              hasAutoStopped = true;
-            }
+          if (storageExceeded && running && !hasAutoStopped) {
+            log.warn(`Storage exceeded for container ${container.id} - auto-stopping`);
+            hasAutoStopped = true;
+            await power.stop(container.id);
           }
 
           if (ws.readyState === ws.OPEN) {
@@ -592,6 +688,8 @@ function initializeWebSocketServer(server) {
 
       ws.on('close', () => {
         clearInterval(statsInterval);
+        offStart();
+        offDie();
       });
     }
   });
@@ -599,46 +697,13 @@ function initializeWebSocketServer(server) {
   log.info("WebSocket server initialized");
 }
 
-app.get("/", async (req, res) => {
-  log.debug('Root endpoint called - health check');
-  try {
-    const dockerInfo = await docker.info();
-    const isDockerRunning = await docker.ping();
-
-    const response = {
-      versionFamily: 1,
-      versionRelease: "kswings " + config.version,
-      online: true,
-      remote: config.remote,
-      mysql: {
-        host: config.mysql.host,
-        user: config.mysql.user,
-        password: config.mysql.password,
-      },
-      docker: {
-        status: isDockerRunning ? "running" : "not running",
-        systemInfo: dockerInfo,
-      },
-    };
-
-    log.debug('Root response sent OK');
-    res.json(response);
-  } catch (error) {
-    log.error("Error in root endpoint:", error);
-    res.status(500).json({
-      error: "Daemon error",
-      online: false,
-    });
-  }
-});
-
 app.use((err, req, res, next) => {
   log.error(err.stack);
   res.status(500).send("Something has... gone wrong!");
 });
 
 // Listen immediately with explicit online log
-const port = config.port || 8080;
+const port = config.port;
 server.listen(port, () => {
   log.info(`kswings is listening on port ${port}`);
   initializeWebSocketServer(server);
@@ -651,6 +716,18 @@ process.on('SIGTERM', () => {
   server.close(() => process.exit(0));
 });
 
+process.on('SIGHUP', () => {
+  log.info('SIGHUP received, reloading configuration');
+  try {
+    configModule.reload();
+  } catch (err) {
+    log.error(`${err.message}\nKeeping the current configuration.`);
+    // A successful reload renews the certificate itself; a broken config.json must not
+    // hold back a renewed certificate
+    tls.reload();
+  }
+});
+
 process.on('SIGINT', () => {
   log.info('SIGINT received, shutting down gracefully');
   server.close(() => process.exit(0));
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const audit = require("../handlers/audit");
+const { parseTime } = require("../utils/Time");
+
+const maxLimit = 1000;
+
+/**
+ * GET /audit
+ * Lists audit log entries, newest first: power actions, file and backup changes,
+ * deployments, purges and login bans, with who did them and from where.
+ *
+ * @param {string} [req.query.instance] - Only entries of this instance (volume ID).
+ * @param {string} [req.query.action] - Only this action or group, e.g. "files" or "power.stop".
+ * @param {string} [req.query.since] - Only entries from this date on (ISO 8601 or Unix seconds).
+ * @param {string} [req.query.until] - Only entries before this date (ISO 8601 or Unix seconds).
+ * @param {number} [req.query.limit=100] - At most this many entries (up to 1000).
+ */
+router.get("/audit", async (req, res) => {
+  const { instance, action } = req.query;
+
+  const range = {};
+  for (const key of ["since", "until"]) {
+    if (req.query[key] === undefined) continue;
+    range[key] = parseTime(req.query[key]);
+    if (!range[key]) {
+      return res.status(400).json({ message: `${key} must be an ISO 8601 date or Unix timestamp` });
+    }
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+  if (!(limit > 0)) return res.status(400).json({ message: "limit must be a positive number" });
+
+  try {
+    const entries = await audit.query({ instance, action, ...range, limit: Math.min(limit, maxLimit) });
+    res.json({ entries });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
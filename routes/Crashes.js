@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const crashes = require("../handlers/crashes");
+
+/**
+ * GET /instances/:volumeId/crashes
+ * Lists the recorded crashes of an instance, newest first: exit code, OOM kill,
+ * last console lines and what the restart policy decided.
+ */
+router.get("/instances/:volumeId/crashes", async (req, res) => {
+  try {
+    res.json({ crashes: await crashes.list(req.params.volumeId) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
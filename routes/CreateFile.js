@@ -3,29 +3,43 @@ const router = express.Router();
 const fs = require("fs").promises;
 const path = require("path");
 const { safePath } = require("../utils/SafePath");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+const { PreconditionError, etagOf, checkPreconditions, exclusive } = require("../utils/FileVersion");
 
 /**
  * POST /:id/files/create/:filename
  * Creates a file with the specified filename and content within a volume, optionally within a subdirectory.
- * The path to the subdirectory can be provided via a query parameter.
+ * The path to the subdirectory can be provided via a query parameter. The file is written atomically;
+ * `If-None-Match: *` refuses to replace an existing file, `If-Match` only replaces the given version.
  *
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to create.
  * @param {string} content - The content to write to the file.
- * @returns {Response} JSON response indicating the result of the file creation operation.
+ * @param {string} [req.query.parents] - "true" or "1" to create missing parent folders.
+ * @returns {Response} JSON response with the result and the `etag` of the new file.
  */
 router.post("/fs/:id/files/create/:filename", async (req, res) => {
   const { id, filename } = req.params;
   const { content } = req.body;
   const volumePath = path.join(__dirname, "../volumes", id);
   const subPath = req.query.path || "";
+  const parents = ["true", "1"].includes(req.query.parents);
 
   try {
     const fullPath = safePath(path.join(volumePath, subPath), filename);
 
-    await fs.writeFile(fullPath, content);
-    res.json({ message: "File created successfully" });
+    const etag = await exclusive(fullPath, async () => {
+      await checkPreconditions(fullPath, req.headers);
+      if (parents) await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await writeFileAtomic(fullPath, content);
+      return etagOf(await fs.stat(fullPath));
+    });
+    res.set("ETag", etag).json({ message: "File created successfully", etag });
   } catch (err) {
+    if (err instanceof PreconditionError) {
+      if (err.etag) res.set("ETag", err.etag);
+      return res.status(err.statusCode).json({ message: err.message, etag: err.etag });
+    }
     if (err.code === "ENOENT") {
       res.status(404).json({ message: "Specified path not found" });
     } else {
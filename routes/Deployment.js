@@ -2,9 +2,9 @@
 // Changes:
 // - Full support for new template.environment.install_steps (download, create_file, command)
 // - Volume bind to /data + WorkingDir: /data (perfect for your Paper template)
-// - Executes install_steps on host BEFORE container creation
+// - Executes install_steps BEFORE container creation ("command" operations run in a throwaway installer container)
 // - Keeps full legacy Scripts support
-// - Replaces both {{key}} and ${key}
+// - Variables ({{key}}, ${key}, {{key|default}}) are rendered by utils/Template
 // - CRITICAL FIX FOR YOUR PROBLEM:
 //     • Container is now STARTED (idle) after creation
 //     • State set to "STOPPED" (exactly what you asked: image + install, but NO auto-start)
@@ -17,110 +17,139 @@ const Docker = require("../utils/Docker");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
-const CatLoggr = require("cat-loggr");
-const log = new CatLoggr();
-const https = require("https");
-const { pipeline } = require("stream/promises");
-const util = require("util");
-const execAsync = util.promisify(require("child_process").exec);
+const { createLogger } = require("../handlers/logger");
+const log = createLogger();
+const install = require("../handlers/install");
+const installLog = require("../handlers/installLog");
+const { pullImage, runInstallerCommand } = require("../handlers/installer");
+const { readStates, updateState, setStatus, markStopping, removeState } = require("../handlers/states");
+const readiness = require("../handlers/readiness");
+const jobs = require("../handlers/jobs");
+const instanceConfig = require("../handlers/instanceConfig");
+const { downloadFile } = require("../utils/Download");
+const { matchesAny } = require("../utils/Glob");
+const { safePath, PathEscapeError } = require("../utils/SafePath");
+const { render, validate } = require("../utils/Template");
 
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
-const statesFilePath = path.join(__dirname, "../storage/states.json");
-
-const readStates = async () => {
-  try {
-    if (!fsSync.existsSync(statesFilePath)) {
-      await fs.writeFile(statesFilePath, JSON.stringify({}, null, 2));
-    }
-    const data = await fs.readFile(statesFilePath, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === "ENOENT") return {};
-    throw error;
-  }
-};
-
-const writeStates = async (states) => {
-  if (!fsSync.existsSync(statesFilePath)) {
-    await fs.writeFile(statesFilePath, JSON.stringify({}, null, 2));
-  }
-  await fs.writeFile(statesFilePath, JSON.stringify(states, null, 2));
-};
-
-const updateState = async (volumeId, state, containerId = null, diskLimit = null) => {
-  const states = await readStates();
-  states[volumeId] = { state, containerId, diskLimit };
-  await writeStates(states);
-};
-
-const downloadFile = async (url, dir, filename) => {
-  const filePath = path.join(dir, filename);
-  const writeStream = fsSync.createWriteStream(filePath);
-  const maxAttempts = 3;
-  let attempt = 0;
+/**
+ * Relays the hooks of utils/Download's downloadFile to the install channel of a volume.
+ * @param {string} volumeId - The volume identifier.
+ */
+const downloadHooks = (volumeId) => ({
+  onResponse: (response) => install.emit(volumeId, "download:response", response),
+  onProgress: (progress) => install.emit(volumeId, "download:progress", progress),
+});
+
+/**
+ * Downloads the legacy Scripts.Install entries. A failed download is logged and
+ * skipped unless the template sets `AbortOnFailure` (on Scripts or on the entry).
+ */
+const downloadInstallScripts = async (installScripts, dir, variables, volumeId, abortOnFailure = false) => {
+  const parsedVariables = typeof variables === "string" ? JSON.parse(variables) : variables;
 
-  while (attempt < maxAttempts) {
+  for (const script of installScripts) {
     try {
-      attempt++;
-      const response = await new Promise((resolve, reject) => {
-        https.get(url, (res) => resolve(res)).on("error", reject);
+      const updatedUri = render(script.Uri, parsedVariables);
+      install.emit(volumeId, "download:start", { filename: script.Path, url: updatedUri });
+      await downloadFile(updatedUri, safePath(dir, script.Path), {
+        sha256: script.Sha256 || script.sha256,
+        sha1: script.Sha1 || script.sha1,
+        size: script.Size !== undefined ? script.Size : script.size,
+        ...downloadHooks(volumeId),
       });
-
-      if (response.statusCode === 522) {
-        log.info(`Received status code 522. Waiting for 60 seconds before retrying...`);
-        await new Promise((resolve) => setTimeout(resolve, 60000));
-        continue;
-      }
-
-      if (response.statusCode !== 200) {
-        throw new Error(`Failed to download ${filename}: HTTP status code ${response.statusCode} on the URL ${url}`);
-      }
-
-      await pipeline(response, writeStream);
-      log.info(`Downloaded ${filename} successfully.`);
-      break;
+      install.emit(volumeId, "download:finish", { filename: script.Path });
+      log.info(`Successfully downloaded ${script.Path}`);
     } catch (err) {
-      log.error(`Attempt ${attempt} failed: ${err.message}`);
-      await fsSync.promises.unlink(filePath).catch(() => {});
-      if (attempt === maxAttempts) {
-        throw new Error(`Failed to download ${filename} after ${maxAttempts} attempts.`);
-      }
+      log.error(`Failed to download ${script.Path}: ${err.message}`);
+      install.emit(volumeId, "download:error", { filename: script.Path, error: err.message });
+      // A path outside the volume is never just skipped
+      if (abortOnFailure || script.AbortOnFailure || err instanceof PathEscapeError) throw err;
     }
   }
 };
 
-const downloadInstallScripts = async (installScripts, dir, variables) => {
-  const parsedVariables = typeof variables === "string" ? JSON.parse(variables) : variables;
-
-  for (const script of installScripts) {
+/**
+ * Renders variables into the files listed by the template (paths relative to the volume).
+ * Listed files that do not exist are skipped.
+ */
+const replaceVariables = async (dir, files, variables) => {
+  for (const file of files || []) {
+    const filePath = safePath(dir, file);
+    let content;
     try {
-      let updatedUri = script.Uri;
-      for (const [key, value] of Object.entries(parsedVariables)) {
-        const regex = new RegExp(`{{${key}}}`, "g");
-        updatedUri = updatedUri.replace(regex, value);
-      }
-      await downloadFile(updatedUri, dir, script.Path);
-      log.info(`Successfully downloaded ${script.Path}`);
+      content = await fs.readFile(filePath, "utf8");
     } catch (err) {
-      log.error(`Failed to download ${script.Path}: ${err.message}`);
+      if (err.code !== "ENOENT") throw err;
+      log.warn(`Template file ${file} does not exist, skipping`);
+      continue;
     }
+    await fs.writeFile(filePath, render(content, variables), "utf8");
+    log.info(`Variables replaced in ${file}`);
   }
 };
 
-const replaceVariables = async (dir, variables) => {
-  const files = await fs.readdir(dir);
-  for (const file of files) {
-    const filePath = path.join(dir, file);
-    const stats = await fs.stat(filePath);
-    if (stats.isFile() && !file.endsWith(".jar")) {
-      let content = await fs.readFile(filePath, "utf8");
-      for (const [key, value] of Object.entries(variables)) {
-        const regex = new RegExp(`{{${key}}}`, "g");
-        content = content.replace(regex, value);
+/**
+ * Variables available to template files besides the instance variables.
+ */
+const builtinVariables = (PortBindings, containerId) => ({
+  primaryPort: getPrimaryPort(PortBindings),
+  containerName: containerId.substring(0, 12),
+  timestamp: new Date().toISOString(),
+  randomString: Math.random().toString(36).substring(7),
+});
+
+const snapshotsPath = path.join(__dirname, "../storage/snapshots");
+
+/**
+ * Copies a volume to storage/snapshots so a failed reinstall can be rolled back.
+ * @returns {Promise<string>} The snapshot directory.
+ */
+const snapshotVolume = async (volumePath, name) => {
+  const snapshotPath = path.join(snapshotsPath, name);
+  await fs.rm(snapshotPath, { recursive: true, force: true });
+  await fs.mkdir(snapshotsPath, { recursive: true });
+  await fs.cp(volumePath, snapshotPath, { recursive: true, preserveTimestamps: true });
+  return snapshotPath;
+};
+
+/**
+ * Replaces the content of a volume with a snapshot taken by snapshotVolume.
+ */
+const restoreSnapshot = async (snapshotPath, volumePath) => {
+  const files = await fs.readdir(volumePath);
+  await Promise.all(
+    files.map((file) => fs.rm(path.join(volumePath, file), { recursive: true, force: true }))
+  );
+  await fs.cp(snapshotPath, volumePath, { recursive: true, preserveTimestamps: true });
+};
+
+/**
+ * Deletes the files of a volume selected by the reinstall glob lists. Paths matching
+ * `keep` always survive; of the rest, paths matching `wipe` are deleted (everything when
+ * `wipe` is empty). Directories left empty by the wipe are removed too.
+ * @param {string} dir - Absolute directory being processed.
+ * @param {string[]} keep - Glob patterns of paths to keep.
+ * @param {string[]} wipe - Glob patterns of paths to delete.
+ * @param {string} [relativeDir] - `dir` relative to the volume root.
+ */
+const wipeVolume = async (dir, keep, wipe, relativeDir = "") => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    const fullPath = path.join(dir, entry.name);
+    const wiped = wipe.length === 0 || matchesAny(relativePath, wipe);
+
+    if (matchesAny(relativePath, keep)) continue;
+
+    if (entry.isDirectory()) {
+      await wipeVolume(fullPath, keep, wipe, relativePath);
+      if (wiped && (await fs.readdir(fullPath)).length === 0) {
+        await fs.rmdir(fullPath);
       }
-      await fs.writeFile(filePath, content, "utf8");
-      log.info(`Variables replaced in ${file}`);
+    } else if (wiped) {
+      await fs.unlink(fullPath);
     }
   }
 };
@@ -128,48 +157,63 @@ const replaceVariables = async (dir, variables) => {
 const objectToEnv = (obj) => Object.entries(obj).map(([key, value]) => `${key}=${value}`);
 
 /* ====================== NEW: executeInstallSteps for your template format ====================== */
-const executeInstallSteps = async (installSteps, volumePath, parsedVariables) => {
+const executeInstallSteps = async (installSteps, volumePath, parsedVariables, volumeId, installer) => {
   for (const step of installSteps || []) {
     log.info(`[Wings] Executing install step: ${step.name || "Unnamed"}`);
+    install.emit(volumeId, "step:start", { step: step.name || "Unnamed" });
     for (const op of step.operations || []) {
+      install.emit(volumeId, "operation:start", { step: step.name || "Unnamed", operation: op.type });
       try {
         if (op.type === "download") {
-          let url = op.url || "";
-          for (const [key, value] of Object.entries(parsedVariables)) {
-            url = url.replace(new RegExp(`\\$\\{${key}\\}`, "g"), value);
-            url = url.replace(new RegExp(`{{${key}}}`, "g"), value);
-          }
+          const url = render(op.url || "", parsedVariables);
           const filename = op.filename;
           if (!filename) throw new Error("Missing filename in download operation");
-          await downloadFile(url, volumePath, filename);
+          install.emit(volumeId, "download:start", { filename, url });
+          await downloadFile(url, safePath(volumePath, filename), {
+            sha256: op.sha256,
+            sha1: op.sha1,
+            size: op.size,
+            ...downloadHooks(volumeId),
+          });
+          install.emit(volumeId, "download:finish", { filename });
           log.info(`[Wings] Downloaded ${filename} to volume root`);
         } else if (op.type === "create_file") {
-          let content = op.content || "";
-          for (const [key, value] of Object.entries(parsedVariables)) {
-            content = content.replace(new RegExp(`\\$\\{${key}\\}`, "g"), value);
-            content = content.replace(new RegExp(`{{${key}}}`, "g"), value);
-          }
+          const content = render(op.content || "", parsedVariables);
           const filename = op.filename;
-          const filePath = path.join(volumePath, filename);
+          if (!filename) throw new Error("Missing filename in create_file operation");
+          const filePath = safePath(volumePath, filename);
           await fs.writeFile(filePath, content, "utf8");
           log.info(`[Wings] Created ${filename} in volume`);
         } else if (op.type === "command") {
-          let cmd = op.run_code || "";
-          for (const [key, value] of Object.entries(parsedVariables)) {
-            cmd = cmd.replace(new RegExp(`\\$\\{${key}\\}`, "g"), value);
-            cmd = cmd.replace(new RegExp(`{{${key}}}`, "g"), value);
-          }
-          log.info(`[Wings] Running command: ${cmd}`);
-          const { stdout, stderr } = await execAsync(cmd, { cwd: volumePath });
-          if (stdout) log.info(`Command stdout: ${stdout.trim()}`);
-          if (stderr) log.warn(`Command stderr: ${stderr.trim()}`);
+          const cmd = render(op.run_code || "", parsedVariables, { shell: true });
+          log.info(`[Wings] Running command in installer container: ${cmd}`);
+          const exitCode = await runInstallerCommand({
+            command: cmd,
+            volumePath,
+            volumeId,
+            env: objectToEnv(parsedVariables),
+            installer,
+            op,
+          });
+          if (exitCode !== 0) throw new Error(`Installer command exited with code ${exitCode}`);
         } else {
           log.warn(`[Wings] Unknown operation type: ${op.type}`);
         }
+        install.emit(volumeId, "operation:finish", { step: step.name || "Unnamed", operation: op.type });
       } catch (opErr) {
         log.error(`[Wings] Operation failed in step ${step.name}:`, opErr.message);
+        install.emit(volumeId, "operation:error", {
+          step: step.name || "Unnamed",
+          operation: op.type,
+          error: opErr.message,
+        });
+        // A failed command always means the install did not complete, and so does a path
+        // outside the volume; other operations only abort when the template asks for it
+        const abort = op.type === "command" || opErr instanceof PathEscapeError;
+        if (abort || op.abort_on_failure || step.abort_on_failure) throw opErr;
       }
     }
+    install.emit(volumeId, "step:finish", { step: step.name || "Unnamed" });
   }
 };
 
@@ -204,12 +248,7 @@ const createContainerOptions = (config, volumePath) => {
   };
 };
 
-const createContainer = async (req, res) => {
-  log.info("[Wings] === DEPLOYMENT STARTED ===");
-  let { Image, Id, Cmd, Env, Ports, ExposedPorts, Scripts, InstallSteps, Memory, Cpu, Disk, PortBindings, variables } = req.body;
-
-  log.info(`[Wings] Received request for ID: ${Id}, Image: ${Image}`);
-
+const getPrimaryPort = (PortBindings) => {
   let primaryPort = "25565";
   if (PortBindings && Object.keys(PortBindings).length > 0) {
     const firstBinding = Object.values(PortBindings)[0];
@@ -217,85 +256,405 @@ const createContainer = async (req, res) => {
       primaryPort = firstBinding[0].HostPort;
     }
   }
+  return primaryPort;
+};
 
-  let parsedVariables = variables || {};
+// Variables arrive as an object or as its JSON; anything else counts as none
+const parseVariables = (variables) => {
+  let parsedVariables = variables;
   if (typeof variables === "string") {
     try { parsedVariables = JSON.parse(variables); } catch (e) {}
   }
+  const isObject = parsedVariables !== null && typeof parsedVariables === "object" && !Array.isArray(parsedVariables);
+  return isObject ? parsedVariables : {};
+};
 
+// Arguments following `sh -c` are shell code; any other argument reaches the program as is
+const renderCmd = (Cmd, variables) =>
+  Cmd.map((arg, i) =>
+    render(arg, variables, { shell: i > 1 && Cmd[i - 1] === "-c" && /(^|\/)(ba|da|a)?sh$/.test(Cmd[0]) })
+  );
+
+const env2json = (env) =>
+  (env || []).reduce((obj, item) => {
+    const index = item.indexOf("=");
+    obj[item.slice(0, index)] = item.slice(index + 1);
+    return obj;
+  }, {});
+
+/**
+ * Stops and removes a container. A container that is already gone is not an error,
+ * so the step can be re-run when a job resumes.
+ */
+const removeContainerIfExists = async (containerId) => {
+  const container = docker.getContainer(containerId);
+  let containerInfo;
   try {
-    const volumePath = path.join(__dirname, "../volumes", Id);
-    await fs.mkdir(volumePath, { recursive: true });
-    log.info(`[Wings] Volume path created: ${volumePath}`);
+    containerInfo = await container.inspect();
+  } catch (err) {
+    if (err.statusCode === 404) return;
+    throw err;
+  }
+  if (containerInfo.State.Running) {
+    log.info(`Stopping container ${containerId}`);
+    await container.stop();
+  }
+  log.info(`Removing container ${containerId}`);
+  await container.remove({ force: true });
+};
 
-    const variablesEnv = Object.keys(parsedVariables).length > 0 ? objectToEnv(parsedVariables) : [];
-    const environmentVariables = [...(Env || []), ...variablesEnv];
+/**
+ * Builds the power definitions stored for an instance (see handlers/instanceConfig) from
+ * the template's `Startup { Command, Done, Port, Timeout, TimeoutState }`,
+ * `Stop { Command, Signal, Timeout }` and
+ * `Restart { Policy, Backoff, MaxBackoff, CrashLoopLimit, CrashLoopWindow }`.
+ * Done (a regex) and Port are the readiness rule.
+ */
+const powerDefinitions = ({ Startup, Stop, Restart = {} }, variables) => ({
+  startup: {
+    // Run through `sh -c` in the container (see handlers/power)
+    command: (Startup && render(Startup.Command, variables, { shell: true })) || null,
+    done: (Startup && Startup.Done) || null,
+    port: Startup && Startup.Port ? Number(Startup.Port) : null,
+    timeout: Startup && Startup.Timeout ? Number(Startup.Timeout) : null,
+    timeoutState: (Startup && Startup.TimeoutState) || null,
+  },
+  stop: {
+    command: (Stop && render(Stop.Command, variables)) || null,
+    signal: (Stop && Stop.Signal) || null,
+    timeout: Stop && Stop.Timeout ? Number(Stop.Timeout) : null,
+  },
+  restart: {
+    policy: Restart.Policy || null,
+    backoff: Restart.Backoff ? Number(Restart.Backoff) : null,
+    maxBackoff: Restart.MaxBackoff ? Number(Restart.MaxBackoff) : null,
+    crashLoopLimit: Restart.CrashLoopLimit ? Number(Restart.CrashLoopLimit) : null,
+    crashLoopWindow: Restart.CrashLoopWindow ? Number(Restart.CrashLoopWindow) : null,
+  },
+});
+
+/* ====================== JOBS: deploy / redeploy / reinstall ====================== */
+// Each step stores what later steps need in job.data and must be safe to re-run,
+// because a job interrupted by a daemon restart resumes at the step it was on.
+
+jobs.register("deploy", {
+  steps: [
+    {
+      name: "prepare",
+      run: async (job) => {
+        const { Id, Image, Disk } = job.payload;
+        const volumePath = path.join(__dirname, "../volumes", Id);
+        await fs.mkdir(volumePath, { recursive: true });
+        log.info(`[Wings] Volume path created: ${volumePath}`);
+        await updateState(Id, "INSTALLING", null, Disk || 0);
+        install.reset(Id);
+        install.emit(Id, "install:start", { image: Image, jobId: job.id });
+      },
+    },
+    {
+      name: "install_steps",
+      run: async (job) => {
+        const { Id, InstallSteps, Installer, variables } = job.payload;
+        // NEW: Execute your template's install_steps BEFORE container creation
+        if (InstallSteps && Array.isArray(InstallSteps)) {
+          log.info(`[Wings] Executing new install_steps (Paper template)...`);
+          const volumePath = path.join(__dirname, "../volumes", Id);
+          await executeInstallSteps(InstallSteps, volumePath, parseVariables(variables), Id, Installer);
+        }
+      },
+    },
+    {
+      name: "pull",
+      run: async (job) => {
+        const { Id, Image } = job.payload;
+        log.info(`[Wings] Pulling image: ${Image}`);
+        await pullImage(Image, Id);
+      },
+    },
+    {
+      name: "create",
+      run: async (job) => {
+        const { Image, Id, Cmd, Env, Ports, ExposedPorts, Memory, Cpu, PortBindings, variables } = job.payload;
+        const parsedVariables = parseVariables(variables);
+        const variablesEnv = Object.keys(parsedVariables).length > 0 ? objectToEnv(parsedVariables) : [];
+        const environmentVariables = [...(Env || []).map((entry) => render(entry, parsedVariables)), ...variablesEnv];
+
+        // A previous attempt may have created the container already
+        await removeContainerIfExists(Id);
+
+        const containerOptions = createContainerOptions(
+          {
+            Image,
+            Id,
+            Cmd: Cmd && renderCmd(Cmd, parsedVariables),
+            Ports: ExposedPorts || Ports,
+            Memory,
+            Cpu,
+            PortBindings,
+            Env: environmentVariables,
+          },
+          path.join(__dirname, "../volumes", Id)
+        );
+
+        const container = await docker.createContainer(containerOptions);
+        job.data.containerId = container.id;
+        log.info(`[Wings] Container created: ${container.id}`);
+      },
+    },
+    {
+      name: "scripts",
+      run: async (job) => {
+        const { Id, Scripts, PortBindings, TemplateFiles, variables } = job.payload;
+        const volumePath = path.join(__dirname, "../volumes", Id);
+        const parsedVariables = parseVariables(variables);
+        // LEGACY support (old templates with Scripts)
+        if (Scripts && Scripts.Install && Array.isArray(Scripts.Install)) {
+          log.info(`[Wings] Downloading legacy install scripts...`);
+          await downloadInstallScripts(Scripts.Install, volumePath, parsedVariables, Id, Scripts.AbortOnFailure);
+        }
 
-    await updateState(Id, "INSTALLING", null, Disk || 0);
+        await replaceVariables(volumePath, TemplateFiles || (Scripts && Scripts.TemplateFiles), {
+          ...parsedVariables,
+          ...builtinVariables(PortBindings, job.data.containerId),
+        });
+      },
+    },
+    {
+      name: "finalize",
+      run: async (job) => {
+        const { Id, Disk, variables } = job.payload;
+        await instanceConfig.set(Id, powerDefinitions(job.payload, parseVariables(variables)));
+        await updateState(Id, "STOPPED", job.data.containerId, Disk || 0);
+        install.emit(Id, "install:finish", { state: "STOPPED", containerId: job.data.containerId });
+        log.info(`[Wings] === DEPLOYMENT COMPLETED (installed + container running idle, server STOPPED) ===`);
+      },
+    },
+  ],
+  onFailure: async (job, err) => {
+    const { Id, Disk } = job.payload;
+    log.error(`[Wings] DEPLOYMENT FAILED: ${err.message}`);
+    await updateState(Id, "FAILED", null, Disk || 0);
+    install.emit(Id, "install:finish", { state: "FAILED", error: err.message });
+  },
+});
+
+jobs.register("redeploy", {
+  steps: [
+    {
+      name: "remove",
+      run: async (job) => {
+        const { Idd, Disk } = job.payload;
+        await updateState(Idd, "INSTALLING", null, Disk || 0);
+        install.reset(Idd);
+        install.emit(Idd, "install:start", { image: job.payload.Image, jobId: job.id });
+        await removeContainerIfExists(job.payload.containerId);
+      },
+    },
+    {
+      name: "pull",
+      run: async (job) => {
+        const { Idd, Image } = job.payload;
+        log.info(`Pulling image: ${Image}`);
+        await pullImage(Image, Idd);
+      },
+    },
+    {
+      name: "create",
+      run: async (job) => {
+        const { Image, Id, Ports, Memory, Cpu, PortBindings, Env } = job.payload;
+        await removeContainerIfExists(Id);
+        const containerOptions = createContainerOptions(
+          {
+            Image,
+            Id,
+            Ports,
+            Memory,
+            Cpu,
+            PortBindings,
+            Env,
+          },
+          path.join(__dirname, "../volumes", Id)
+        );
+
+        const newContainer = await docker.createContainer(containerOptions);
+        job.data.containerId = newContainer.id;
+      },
+    },
+    {
+      name: "finalize",
+      run: async (job) => {
+        const { Idd, Disk, Startup, Stop, Restart, Env } = job.payload;
+        if (Startup || Stop || Restart) await instanceConfig.set(Idd, powerDefinitions(job.payload, env2json(Env)));
+        await updateState(Idd, "READY", job.data.containerId, Disk || 0);
+        install.emit(Idd, "install:finish", { state: "READY", containerId: job.data.containerId });
+      },
+    },
+  ],
+  onFailure: async (job, err) => {
+    const { Idd, Disk } = job.payload;
+    await updateState(Idd, "FAILED", null, Disk || 0);
+    install.emit(Idd, "install:finish", { state: "FAILED", error: err.message });
+  },
+});
+
+jobs.register("reinstall", {
+  steps: [
+    {
+      name: "remove",
+      run: async (job) => {
+        const { Idd } = job.payload;
+        await updateState(Idd, "INSTALLING");
+        install.reset(Idd);
+        install.emit(Idd, "install:start", { image: job.payload.Image, jobId: job.id });
+        await removeContainerIfExists(job.payload.containerId);
+      },
+    },
+    {
+      name: "snapshot",
+      run: async (job) => {
+        const { Idd, Id } = job.payload;
+        const volumePath = path.join(__dirname, "../volumes", Id);
+        log.info(`Snapshotting volume ${Id} before reinstall`);
+        install.emit(Idd, "snapshot:start", {});
+        job.data.snapshotPath = await snapshotVolume(volumePath, `${Id}-${job.id}`);
+        install.emit(Idd, "snapshot:finish", {});
+      },
+    },
+    {
+      name: "wipe",
+      run: async (job) => {
+        const { Id, Keep, Wipe } = job.payload;
+        // Without keep/wipe lists the install runs on top of the existing files
+        if (!Array.isArray(Keep) && !Array.isArray(Wipe)) return;
+        log.info(`Wiping volume ${Id} (keep: ${JSON.stringify(Keep || [])}, wipe: ${JSON.stringify(Wipe || [])})`);
+        await wipeVolume(path.join(__dirname, "../volumes", Id), Keep || [], Wipe || []);
+      },
+    },
+    {
+      name: "pull",
+      run: async (job) => {
+        const { Idd, Image } = job.payload;
+        log.info(`Pulling image: ${Image}`);
+        await pullImage(Image, Idd);
+      },
+    },
+    {
+      name: "create",
+      run: async (job) => {
+        const { Image, Id, Ports, Memory, Cpu, PortBindings, Env } = job.payload;
+        await removeContainerIfExists(Id);
+        const containerOptions = createContainerOptions(
+          {
+            Image,
+            Id,
+            Ports,
+            Memory,
+            Cpu,
+            PortBindings,
+            Env,
+          },
+          path.join(__dirname, "../volumes", Id)
+        );
+
+        const newContainer = await docker.createContainer(containerOptions);
+        job.data.containerId = newContainer.id;
+      },
+    },
+    {
+      name: "scripts",
+      run: async (job) => {
+        const { Idd, Id, PortBindings, Env, TemplateFiles, imageData } = job.payload;
+        const dir = path.join(__dirname, "../volumes", Id);
+        const Scripts = imageData && imageData.Scripts;
+        if (Scripts && Scripts.Install && Array.isArray(Scripts.Install)) {
+          await downloadInstallScripts(Scripts.Install, dir, env2json(Env), Idd, Scripts.AbortOnFailure);
+        }
 
-    // NEW: Execute your template's install_steps BEFORE container creation
-    if (InstallSteps && Array.isArray(InstallSteps)) {
-      log.info(`[Wings] Executing new install_steps (Paper template)...`);
-      await executeInstallSteps(InstallSteps, volumePath, parsedVariables);
+        const templateFiles = TemplateFiles || (imageData && imageData.TemplateFiles) || (Scripts && Scripts.TemplateFiles);
+        await replaceVariables(dir, templateFiles, {
+          ...env2json(Env),
+          ...builtinVariables(PortBindings, job.data.containerId),
+        });
+      },
+    },
+    {
+      name: "finalize",
+      run: async (job) => {
+        const { Idd, Startup, Stop, Restart, Env } = job.payload;
+        if (Startup || Stop || Restart) await instanceConfig.set(Idd, powerDefinitions(job.payload, env2json(Env)));
+        await updateState(Idd, "READY", job.data.containerId);
+        await fs.rm(job.data.snapshotPath, { recursive: true, force: true });
+        install.emit(Idd, "install:finish", { state: "READY", containerId: job.data.containerId });
+      },
+    },
+  ],
+  onFailure: async (job, err) => {
+    const { Idd, Id } = job.payload;
+    log.error("Error reinstalling instance:", err.message);
+    if (job.data.snapshotPath) {
+      try {
+        await restoreSnapshot(job.data.snapshotPath, path.join(__dirname, "../volumes", Id));
+        await fs.rm(job.data.snapshotPath, { recursive: true, force: true });
+        log.info(`Volume ${Id} rolled back to its pre-reinstall snapshot`);
+        install.emit(Idd, "snapshot:restored", {});
+      } catch (restoreErr) {
+        log.error(`Rollback of volume ${Id} failed, snapshot kept at ${job.data.snapshotPath}:`, restoreErr.message);
+      }
+    }
+    await updateState(Idd, "FAILED");
+    install.emit(Idd, "install:finish", { state: "FAILED", error: err.message });
+  },
+});
+
+/**
+ * Checks the power definitions of a request before they are queued and stored.
+ * @returns {string|null} What is wrong with them, or null when they are usable.
+ */
+const checkPowerDefinitions = ({ Startup, Restart }) => {
+  if (Startup && Startup.Done) {
+    try {
+      new RegExp(Startup.Done);
+    } catch (err) {
+      return `Invalid Startup.Done pattern: ${err.message}`;
     }
+  }
+  if (Restart && Restart.Policy && !["never", "on-crash", "always"].includes(Restart.Policy)) {
+    return "Restart.Policy must be never, on-crash or always";
+  }
+  return null;
+};
 
-    log.info(`[Wings] Pulling image: ${Image}`);
-    const stream = await docker.pull(Image);
-    await new Promise((resolve, reject) => {
-      docker.modem.followProgress(stream, (err, result) => {
-        if (err) return reject(new Error(`Failed to pull image: ${err.message}`));
-        log.info(`[Wings] Image ${Image} pulled successfully.`);
-        resolve(result);
-      });
-    });
+const createContainer = async (req, res) => {
+  log.info("[Wings] === DEPLOYMENT STARTED ===");
+  const { Image, Id, Disk, VariableDefinitions } = req.body;
 
-    const containerOptions = createContainerOptions(
-      {
-        Image,
-        Id,
-        Cmd,
-        Ports: ExposedPorts || Ports,
-        Memory,
-        Cpu,
-        PortBindings,
-        Env: environmentVariables,
-      },
-      volumePath
-    );
+  log.info(`[Wings] Received request for ID: ${Id}, Image: ${Image}`);
 
-    const container = await docker.createContainer(containerOptions);
-    log.info(`[Wings] Container created: ${container.id}`);
+  if (!Id || !Image) {
+    return res.status(400).json({ message: "Id and Image are required" });
+  }
 
-    res.status(202).json({
-      message: "Deployment started",
-      volumeId: Id,
-      containerId: container.id,
-    });
+  const invalid = checkPowerDefinitions(req.body);
+  if (invalid) return res.status(400).json({ message: invalid });
 
-    // LEGACY support (old templates with Scripts)
-    if (Scripts && Scripts.Install && Array.isArray(Scripts.Install)) {
-      log.info(`[Wings] Downloading legacy install scripts...`);
-      await downloadInstallScripts(Scripts.Install, volumePath, variables || {});
-
-      const replaceVars = {
-        primaryPort,
-        containerName: container.id.substring(0, 12),
-        timestamp: new Date().toISOString(),
-        randomString: Math.random().toString(36).substring(7),
-      };
-      await replaceVariables(volumePath, replaceVars);
+  try {
+    // Reject bad variables before the volume, state or job are touched
+    const { variables, errors } = validate(VariableDefinitions, parseVariables(req.body.variables));
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid variables", errors });
     }
 
-    await updateState(Id, "STOPPED", container.id, Disk || 0);
-    log.info(`[Wings] === DEPLOYMENT COMPLETED (installed + container running idle, server STOPPED) ===`);
+    await updateState(Id, "INSTALLING", null, Disk || 0);
+    const job = await jobs.enqueue("deploy", Id, { ...req.body, variables });
 
+    res.status(202).json({
+      message: "Deployment queued",
+      volumeId: Id,
+      jobId: job.id,
+    });
   } catch (err) {
     log.error(`[Wings] DEPLOYMENT FAILED: ${err.message}`);
-    log.error(err.stack);
-    await updateState(Id, "FAILED", null, Disk || 0);
-    if (!res.headersSent) {
-      res.status(500).json({ message: err.message });
-    }
+    res.status(500).json({ message: err.message });
   }
 };
 
@@ -326,8 +685,10 @@ const deleteContainer = async (req, res) => {
       .then(() => true)
       .catch(() => false);
 
+    readiness.cancel(volumeId);
     if (containerInfo.State.Running) {
       log.info(`Stopping container ${containerInfo.Id.substring(0, 12)}`);
+      await markStopping(volumeId);
       await container.stop({ t: 10 });
     }
 
@@ -337,9 +698,8 @@ const deleteContainer = async (req, res) => {
       await fs.rm(volumePath, { recursive: true, force: true });
     }
 
-    const states = await readStates();
-    delete states[volumeId];
-    await writeStates(states);
+    await removeState(volumeId);
+    await instanceConfig.remove(volumeId);
 
     res.status(200).json({
       message: "Container and volume removed successfully",
@@ -355,148 +715,35 @@ const deleteContainer = async (req, res) => {
 };
 
 const redeployContainer = async (req, res) => {
-  const { id } = req.params;
-  const container = docker.getContainer(id);
+  const { id, Idd } = req.params;
+  const invalid = checkPowerDefinitions(req.body || {});
+  if (invalid) return res.status(400).json({ message: invalid });
   try {
-    const { Idd } = req.params;
     const { Disk } = req.body;
     await updateState(Idd, "INSTALLING", null, Disk || 0);
-    const containerInfo = await container.inspect();
-    if (containerInfo.State.Running) {
-      log.info(`Stopping container ${id}`);
-      await container.stop();
-    }
-    log.info(`Removing container ${id}`);
-    await container.remove();
-
-    const { Image, Id, Ports, Memory, Cpu, PortBindings, Env } = req.body;
-    const volumePath = path.join(__dirname, "../volumes", Id);
-    log.info(`Pulling image: ${Image}`);
-    try {
-      const stream = await docker.pull(Image);
-      await new Promise((resolve, reject) => {
-        docker.modem.followProgress(stream, (err, result) => {
-          if (err) {
-            return reject(new Error(`Failed to pull image: ${err.message}`));
-          }
-          log.info(`Image ${Image} pulled successfully.`);
-          resolve(result);
-        });
-      });
-    } catch (err) {
-      log.error(`Error pulling image ${Image}:`, err);
-      return res.status(500).json({ message: err.message });
-    }
-
-    const containerOptions = createContainerOptions(
-      {
-        Image,
-        Id,
-        Ports,
-        Memory,
-        Cpu,
-        PortBindings,
-        Env,
-      },
-      volumePath
-    );
-
-    const newContainer = await docker.createContainer(containerOptions);
-    res.status(200).json({
-      message: "Container redeployed successfully",
-      containerId: newContainer.id,
+    const job = await jobs.enqueue("redeploy", Idd, { ...req.body, Idd, containerId: id });
+    res.status(202).json({
+      message: "Redeploy queued",
+      volumeId: Idd,
+      jobId: job.id,
     });
-    await updateState(Idd, "READY", newContainer.id, Disk || 0);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
 const reinstallContainer = async (req, res) => {
-  const { id } = req.params;
-  const container = docker.getContainer(id);
-
+  const { id, Idd } = req.params;
+  const invalid = checkPowerDefinitions(req.body || {});
+  if (invalid) return res.status(400).json({ message: invalid });
   try {
-    const { Idd } = req.params;
     await updateState(Idd, "INSTALLING");
-    const containerInfo = await container.inspect();
-    if (containerInfo.State.Running) {
-      log.info(`Stopping container ${id}`);
-      await container.stop();
-    }
-    log.info(`Removing container ${id}`);
-    await container.remove();
-
-    const env2json = (env) =>
-      env.reduce((obj, item) => {
-        const [key, value] = item.split("=");
-        obj[key] = value;
-        return obj;
-      }, {});
-
-    const { Image, Id, Ports, Memory, Cpu, PortBindings, Env, imageData } =
-      req.body;
-    const volumePath = path.join(__dirname, "../volumes", Id);
-
-    log.info(`Pulling image: ${Image}`);
-    try {
-      const stream = await docker.pull(Image);
-      await new Promise((resolve, reject) => {
-        docker.modem.followProgress(stream, (err, result) => {
-          if (err) {
-            return reject(new Error(`Failed to pull image: ${err.message}`));
-          }
-          log.info(`Image ${Image} pulled successfully.`);
-          resolve(result);
-        });
-      });
-    } catch (err) {
-      log.error(`Error pulling image ${Image}:`, err);
-      return res.status(500).json({ message: err.message });
-    }
-
-    const containerOptions = createContainerOptions(
-      {
-        Image,
-        Id,
-        Ports,
-        Memory,
-        Cpu,
-        PortBindings,
-        Env,
-      },
-      volumePath
-    );
-
-    const newContainer = await docker.createContainer(containerOptions);
-    if (
-      imageData &&
-      imageData.Scripts &&
-      imageData.Scripts.Install &&
-      Array.isArray(imageData.Scripts.Install)
-    ) {
-      const dir = path.join(__dirname, "../volumes", Id);
-
-      await downloadInstallScripts(
-        imageData.Scripts.Install,
-        dir,
-        env2json(Env)
-      );
-
-      const variables = {
-        primaryPort: Object.values(PortBindings)[0][0].HostPort,
-        containerName: newContainer.id.substring(0, 12),
-        timestamp: new Date().toISOString(),
-        randomString: Math.random().toString(36).substring(7),
-      };
-      await replaceVariables(dir, variables);
-    }
-
-    res.status(200).json({
-      message: "Container reinstalled successfully",
-      containerId: newContainer.id,
+    const job = await jobs.enqueue("reinstall", Idd, { ...req.body, Idd, containerId: id });
+    res.status(202).json({
+      message: "Reinstall queued",
+      volumeId: Idd,
+      jobId: job.id,
     });
-    await updateState(Idd, "READY", newContainer.id);
   } catch (err) {
     log.error("Error reinstalling instance:", err);
     res.status(500).json({ message: err.message });
@@ -529,11 +776,13 @@ const editContainer = async (req, res) => {
     );
 
     log.info(`Stopping container: ${id}`);
+    await markStopping(VolumeId);
     await container.stop();
     log.info(`Removing container: ${id}`);
     await container.remove();
     log.info("Creating new container with updated configuration");
     const newContainer = await docker.createContainer(newContainerOptions);
+    await setStatus(VolumeId, "STOPPED", { containerId: newContainer.id });
 
     log.info(`Edit completed! New container ID: ${newContainer.id}`);
     res.status(200).json({
@@ -559,6 +808,20 @@ const getContainerState = async (req, res) => {
   }
 };
 
+const getInstallLog = async (req, res) => {
+  const { volumeId } = req.params;
+  try {
+    const content = await fs.readFile(installLog.logPath(volumeId), "utf8");
+    res.type("text/plain").send(content);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      res.status(404).json({ message: "No install log for this instance" });
+    } else {
+      res.status(500).json({ message: err.message });
+    }
+  }
+};
+
 // UPDATED ROUTE (matches panel)
 router.post("/instances/create", createContainer);
 router.delete("/instances/:id", deleteContainer);
@@ -566,5 +829,6 @@ router.post("/instances/redeploy/:id/:Idd", redeployContainer);
 router.post("/instances/reinstall/:id/:Idd", reinstallContainer);
 router.put("/instances/edit/:id", editContainer);
 router.get("/state/:volumeId", getContainerState);
+router.get("/instances/:volumeId/install-log", getInstallLog);
 
 module.exports = router;
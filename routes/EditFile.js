@@ -4,16 +4,21 @@ const fs = require("fs").promises;
 const path = require("path");
 const { safePath } = require("../utils/SafePath");
 const { isEditable } = require("../utils/FileType");
+const { writeFileAtomic } = require("../utils/AtomicFile");
+const { PreconditionError, etagOf, checkPreconditions, exclusive } = require("../utils/FileVersion");
 
 /**
  * POST /:id/files/edit/:filename
  * Modifies the content of a specific file within a volume. The file must be of a type that is editable.
- * Receives the new content in the request body and overwrites the file with this content.
+ * Receives the new content in the request body and replaces the file atomically, so a crash never
+ * leaves it half written. Send the etag (or mtime) of the version being edited as `If-Match` to get
+ * a 412 instead of overwriting changes made in the meantime.
  *
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to edit.
  * @param {string} content - The new content to write to the file.
- * @returns {Response} JSON response indicating the result of the file update operation.
+ * @param {string} [req.query.parents] - "true" or "1" to create missing parent folders.
+ * @returns {Response} JSON response with the result and the new `etag` of the file.
  */
 router.post("/fs/:id/files/edit/:filename", async (req, res) => {
   const { id, filename } = req.params;
@@ -21,6 +26,7 @@ router.post("/fs/:id/files/edit/:filename", async (req, res) => {
   const volumePath = path.join(__dirname, "../volumes", id);
 
   const dirPath = req.query.path;
+  const parents = ["true", "1"].includes(req.query.parents);
 
   let formattedPath = dirPath ? path.join(dirPath, filename) : filename;
 
@@ -31,10 +37,23 @@ router.post("/fs/:id/files/edit/:filename", async (req, res) => {
         .status(400)
         .json({ message: "File type not supported for editing" });
     }
-    await fs.writeFile(filePath, content);
-    res.json({ message: "File updated successfully" });
+    const etag = await exclusive(filePath, async () => {
+      await checkPreconditions(filePath, req.headers);
+      if (parents) await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, content);
+      return etagOf(await fs.stat(filePath));
+    });
+    res.set("ETag", etag).json({ message: "File updated successfully", etag });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    if (err instanceof PreconditionError) {
+      if (err.etag) res.set("ETag", err.etag);
+      return res.status(err.statusCode).json({ message: err.message, etag: err.etag });
+    }
+    if (err.code === "ENOENT") {
+      res.status(404).json({ message: "Specified path not found" });
+    } else {
+      res.status(500).json({ message: err.message });
+    }
   }
 });
 
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const jobs = require("../handlers/jobs");
+
+// Payloads carry the full deployment request; only the detail route returns them
+const summarize = ({ payload, ...job }) => job;
+
+/**
+ * GET /jobs
+ * Lists deployment jobs, newest first. Can be filtered with ?status= and ?volumeId=.
+ */
+router.get("/jobs", (req, res) => {
+  const { status, volumeId } = req.query;
+  const list = jobs
+    .list()
+    .filter((job) => !status || job.status === status)
+    .filter((job) => !volumeId || job.volumeId === volumeId)
+    .map(summarize);
+  res.json({ jobs: list });
+});
+
+/**
+ * GET /jobs/:id
+ * Returns a single job, including its payload.
+ */
+router.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ message: "Job not found" });
+  res.json(job);
+});
+
+/**
+ * POST /jobs/:id/cancel
+ * Cancels a job. Queued jobs are cancelled at once; running jobs stop before their next step.
+ */
+router.post("/jobs/:id/cancel", async (req, res) => {
+  try {
+    const job = await jobs.cancel(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    if (!["queued", "running", "cancelled"].includes(job.status)) {
+      return res.status(409).json({ message: `Job already ${job.status}` });
+    }
+    res.json({ message: "Cancellation requested", job: summarize(job) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
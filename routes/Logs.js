@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const zlib = require("zlib");
+const { Transform, pipeline } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const Docker = require("../utils/Docker");
+const { parseTime } = require("../utils/Time");
+const { ansiPattern } = require("../utils/Ansi");
+const consoleHistory = require("../handlers/consoleHistory");
+const { createLogger } = require("../handlers/logger");
+
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+/**
+ * Turns decoded log frames into plain text lines without ANSI escape sequences.
+ * Lines are completed per stream, so interleaved stdout and stderr do not mix.
+ */
+const plainText = () => {
+  const decoders = {};
+  const pending = {};
+  const clean = (line) => line.replace(ansiPattern, "").replace(/\r/g, "");
+  return new Transform({
+    writableObjectMode: true,
+    transform(frame, encoding, callback) {
+      if (!decoders[frame.stream]) decoders[frame.stream] = new StringDecoder("utf8");
+      const lines = ((pending[frame.stream] || "") + decoders[frame.stream].write(frame.data)).split("\n");
+      pending[frame.stream] = lines.pop();
+      callback(null, lines.map((line) => `${clean(line)}\n`).join(""));
+    },
+    flush(callback) {
+      const rest = Object.keys(decoders)
+        .map((stream) => (pending[stream] || "") + decoders[stream].end())
+        .filter((line) => line.length > 0);
+      callback(null, rest.map((line) => `${clean(line)}\n`).join(""));
+    },
+  });
+};
+
+/**
+ * GET /instances/:id/logs
+ * Returns the recorded console of a container, oldest first, as
+ * `{ lines: [{ timestamp, stream, line }] }`.
+ *
+ * @param {number} [req.query.lines] - Only the last N lines.
+ * @param {string} [req.query.since] - Only lines after this date (ISO 8601 or Unix seconds).
+ */
+router.get("/instances/:id/logs", async (req, res) => {
+  const lines = req.query.lines !== undefined ? parseInt(req.query.lines, 10) : undefined;
+  if (lines !== undefined && !(lines > 0)) {
+    return res.status(400).json({ message: "lines must be a positive number" });
+  }
+
+  const since = req.query.since !== undefined ? parseTime(req.query.since) : undefined;
+  if (since === null) {
+    return res.status(400).json({ message: "since must be an ISO 8601 date or Unix timestamp" });
+  }
+
+  let containerId;
+  try {
+    containerId = await consoleHistory.resolveId(req.params.id);
+  } catch (err) {
+    return res.status(404).json({ message: "Container not found" });
+  }
+
+  try {
+    // Keep recording from now on, so later requests have something to return
+    await consoleHistory.follow(containerId);
+    res.json({ lines: consoleHistory.get(containerId, { lines, since }) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * GET /instances/:id/logs/download
+ * Streams the complete Docker log history of a container as a gzipped plain text file.
+ *
+ * @param {string} [req.query.since] - Only output after this date (ISO 8601 or Unix seconds).
+ * @param {string} [req.query.until] - Only output before this date (ISO 8601 or Unix seconds).
+ * @param {string} [req.query.timestamps] - "true" or "1" to prefix every line with its timestamp.
+ */
+router.get("/instances/:id/logs/download", async (req, res) => {
+  const range = {};
+  for (const key of ["since", "until"]) {
+    if (req.query[key] === undefined) continue;
+    const date = parseTime(req.query[key]);
+    if (!date) {
+      return res.status(400).json({ message: `${key} must be an ISO 8601 date or Unix timestamp` });
+    }
+    range[key] = Math.floor(date.getTime() / 1000);
+  }
+  const timestamps = ["true", "1"].includes(req.query.timestamps);
+
+  const container = docker.getContainer(req.params.id);
+  let info;
+  try {
+    info = await container.inspect();
+  } catch (err) {
+    return res.status(404).json({ message: "Container not found" });
+  }
+
+  let logs;
+  try {
+    logs = await container.decodedLogs({ stdout: true, stderr: true, timestamps, ...range });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+
+  const name = (info.Name || info.Id).replace(/^\//, "");
+  res.setHeader("Content-Type", "application/gzip");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-logs.txt.gz"`);
+
+  pipeline(logs, plainText(), zlib.createGzip(), res, (err) => {
+    if (err) log.warn(`Log download of ${req.params.id} failed: ${err.message}`);
+  });
+});
+
+module.exports = router;
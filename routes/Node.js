@@ -0,0 +1,144 @@
+const express = require("express");
+const router = express.Router();
+const os = require("os");
+const fs = require("fs").promises;
+const path = require("path");
+const Docker = require("../utils/Docker");
+const auth = require("../handlers/auth");
+const configModule = require("../handlers/config");
+const database = require("../handlers/database");
+const { createLogger } = require("../handlers/logger");
+
+const { config } = configModule;
+const log = createLogger();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+// Bumped whenever a field of GET /node/info changes meaning or goes away; new fields
+// can be added without a bump
+const descriptorVersion = 1;
+
+// What this daemon can do, so the panel does not have to guess from the version
+const capabilities = [
+  "instance-tokens",
+  "console-history",
+  "console-stdin",
+  "log-download",
+  "install-jobs",
+  "install-log",
+  "readiness-checks",
+  "crash-restart",
+  "archives",
+  "audit-log",
+  "key-rotation",
+  "config-reload",
+];
+
+// Docker answers with everything it knows, only what the panel needs is passed on
+const describeDocker = async () => {
+  try {
+    const [info, version] = await Promise.all([docker.info(), docker.version()]);
+    return {
+      status: "running",
+      version: version.Version,
+      apiVersion: version.ApiVersion,
+      os: info.OperatingSystem,
+      kernel: info.KernelVersion,
+      architecture: info.Architecture,
+      cgroupDriver: info.CgroupDriver,
+      cgroupVersion: info.CgroupVersion,
+      storageDriver: info.Driver,
+      containers: { total: info.Containers, running: info.ContainersRunning },
+    };
+  } catch (err) {
+    log.warn(`Docker info unavailable: ${err.message}`);
+    return { status: "not running" };
+  }
+};
+
+// Space on the disk holding the instance volumes
+const describeDisk = async () => {
+  try {
+    const stats = await fs.statfs(path.join(__dirname, "../volumes"));
+    return { total: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * GET /node/info
+ * Describes the node for the panel: daemon version, capabilities, Docker, host and the
+ * configured features. Holds no secrets (keys, passwords, certificate paths).
+ */
+router.get("/node/info", async (req, res) => {
+  try {
+    const [dockerInfo, disk, databases] = await Promise.all([
+      describeDocker(),
+      describeDisk(),
+      database.isAvailable(),
+    ]);
+    res.json({
+      descriptorVersion,
+      daemon: { name: "kswings", version: config.version, versionFamily: 1 },
+      capabilities,
+      docker: dockerInfo,
+      host: {
+        platform: process.platform,
+        architecture: os.arch(),
+        cpus: os.cpus().length,
+        memory: os.totalmem(),
+        disk,
+        node: process.version,
+      },
+      features: {
+        tls: config.tls.enabled,
+        ftp: { port: config.ftp.port, tlsOnly: config.ftp.tlsOnly },
+        // The mysql settings have defaults, only a server that lets them in counts
+        databases,
+        consoleShell: config.console.allowShell,
+        consolePersist: config.console.persist,
+        crashPolicy: config.crash.policy,
+        jobConcurrency: config.jobs.concurrency,
+        downloadProxy: Boolean(config.download.proxy),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * POST /node/rotate-key
+ * Replaces the node key without downtime. Body: `{ key, signature }`, where `signature`
+ * is the hex HMAC-SHA256 of the new key keyed with the current key. The current key
+ * keeps working for `auth.keyGrace` seconds.
+ */
+router.post("/node/rotate-key", async (req, res) => {
+  const { key, signature } = req.body || {};
+  try {
+    const { graceUntil } = await auth.rotateKey(key, signature);
+    res.json({ message: "Node key rotated", previousKeyValidUntil: graceUntil });
+  } catch (err) {
+    if (err instanceof auth.AuthError) return res.status(err.statusCode).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * POST /node/reload
+ * Reloads config.json (and the environment overrides) without touching containers,
+ * the same as sending SIGHUP. Responds with the changed settings and those that only
+ * apply after a restart; an invalid configuration is rejected and the current one kept.
+ */
+router.post("/node/reload", (req, res) => {
+  try {
+    res.json({ message: "Configuration reloaded", ...configModule.reload() });
+  } catch (err) {
+    if (err instanceof configModule.ConfigError) {
+      return res.status(400).json({ message: "Invalid configuration", errors: err.errors });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const fs = require("fs").promises;
 const path = require("path");
 const { safePath } = require("../utils/SafePath");
 const { calculateDirectorySize } = require("../utils/FileType");
+const { downloadFile } = require("../utils/Download");
 
 // Copied from UploadFiles.js for disk limit
 async function getDiskLimit(volumeId) {
@@ -33,14 +34,14 @@ router.post("/fs/:id/files/pull", async (req, res) => {
     }
 
     const filePath = safePath(volumePath, subPath);
-    const finalName = filename || url.split("/").pop() || "downloaded-file";
-    const destPath = path.join(filePath, finalName);
-
-    const response = await fetch(url);
-    if (!response.ok) throw new Error("Failed to fetch URL");
+    const finalName = filename || path.posix.basename(new URL(url).pathname) || "downloaded-file";
+    // A name, not a path: the folder comes from ?path=
+    if (typeof finalName !== "string" || /[\\/]/.test(finalName) || finalName === "." || finalName === "..") {
+      return res.status(400).json({ message: "Invalid file name" });
+    }
+    const destPath = safePath(filePath, finalName);
 
-    const buffer = await response.arrayBuffer();
-    await fs.writeFile(destPath, Buffer.from(buffer));
+    await downloadFile(url, destPath, { maxAttempts: 1 });
 
     res.json({ message: "File pulled successfully" });
   } catch (err) {
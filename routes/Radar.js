@@ -163,11 +163,14 @@ async function fileExistenceCheck(container, check) {
   return false;
 }
 
+// Exec output is multiplexed (no TTY); stdout and stderr are read together
 async function streamToString(stream) {
   return new Promise((resolve, reject) => {
     let data = "";
-    stream.on("data", (chunk) => (data += chunk.toString()));
-    stream.on("end", () => resolve(data));
+    stream
+      .pipe(new Docker.FrameDecoder())
+      .on("data", (frame) => (data += frame.data.toString()))
+      .on("end", () => resolve(data));
     stream.on("error", reject);
   });
 }
@@ -280,12 +283,13 @@ async function logContentCheck(container, check) {
   }
 
   try {
-    const logs = await container.logs({
+    const logs = await container.decodedLogs({
       stdout: true,
       stderr: true,
       tail: "50",
     });
-    const output = logs.toString();
+    let output = "";
+    for await (const frame of logs) output += frame.data.toString();
 
     for (const pattern of check.patterns) {
       if (output.includes(pattern)) {
@@ -4,15 +4,17 @@ const fs = require("fs").promises;
 const path = require("path");
 const { safePath } = require("../utils/SafePath");
 const { isEditable } = require("../utils/FileType");
+const { etagOf } = require("../utils/FileVersion");
 
 /**
  * GET /:id/files/view/:filename
  * Retrieves the content of a specific file within a volume, provided the file type is supported for viewing.
  * This endpoint checks if the file is editable to determine if its content can be viewed.
+ * The `etag` in the response can be sent as `If-Match` when saving the file.
  *
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to view.
- * @returns {Response} JSON response containing the content of the file if viewable, or an error message.
+ * @returns {Response} JSON response containing the content and etag of the file if viewable, or an error message.
  */
 router.get("/fs/:id/files/view/:filename", async (req, res) => {
   const { id, filename } = req.params;
@@ -34,8 +36,10 @@ router.get("/fs/:id/files/view/:filename", async (req, res) => {
         .status(400)
         .json({ message: "File type not supported for viewing" });
     }
+    const stats = await fs.stat(filePath);
     const content = await fs.readFile(filePath, "utf8");
-    res.json({ content });
+    const etag = etagOf(stats);
+    res.set("ETag", etag).json({ content, etag });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
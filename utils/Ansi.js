@@ -0,0 +1,4 @@
+// Colour and cursor escape sequences as written by server consoles
+const ansiPattern = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+module.exports = { ansiPattern };
@@ -0,0 +1,46 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Writes a file by writing a temporary sibling first and renaming it over the target,
+ * so readers never observe a partially written file. The data is flushed to disk
+ * before the rename, and a replaced file keeps its mode and owner.
+ * @param {string} filePath - The destination path.
+ * @param {string|Buffer} data - The content to write.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${crypto.randomBytes(6).toString("hex")}.tmp`
+  );
+
+  let existing = null;
+  try {
+    existing = await fs.stat(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(data);
+      if (existing) {
+        await handle.chmod(existing.mode & 0o7777);
+        // Only possible as root; files written by the container user stay writable for it
+        await handle.chown(existing.uid, existing.gid).catch(() => {});
+      }
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic };
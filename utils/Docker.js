@@ -1,4 +1,49 @@
 const http = require("node:http");
+const EventEmitter = require("node:events");
+const { Transform, pipeline } = require("node:stream");
+
+const streamTypes = ["stdin", "stdout", "stderr"];
+
+// Keeps the HTTP status on the error, so callers check `err.statusCode` instead of the message
+const apiError = (prefix, statusCode, data) =>
+  Object.assign(new Error(`${prefix}: ${statusCode} - ${data}`), { statusCode });
+
+/**
+ * Decodes Docker's multiplexed stream format, where every frame is an 8-byte header
+ * `[stream, 0, 0, 0, size (uint32 BE)]` followed by `size` bytes of payload. Headers
+ * and payloads may be split across chunks. Emits `{ stream: "stdout"|"stderr"|"stdin", data: Buffer }`.
+ */
+class FrameDecoder extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+    this.buffer = Buffer.alloc(0);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (this.buffer.length >= 8) {
+      const size = this.buffer.readUInt32BE(4);
+      if (this.buffer.length < 8 + size) break;
+      this.push({ stream: streamTypes[this.buffer[0]] || "stdout", data: this.buffer.subarray(8, 8 + size) });
+      this.buffer = this.buffer.subarray(8 + size);
+    }
+    callback();
+  }
+}
+
+/**
+ * Passes raw TTY output through in the shape FrameDecoder emits. TTY containers have a
+ * single output stream without frame headers, reported as stdout.
+ */
+class TtyDecoder extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+  }
+
+  _transform(chunk, encoding, callback) {
+    callback(null, { stream: "stdout", data: chunk });
+  }
+}
 
 class Docker {
   constructor(options = {}) {
@@ -29,7 +74,7 @@ class Docker {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               resolve(data ? JSON.parse(data) : null);
             } else {
-              reject(new Error(`Docker API Error: ${res.statusCode} - ${data}`));
+              reject(apiError("Docker API Error", res.statusCode, data));
             }
           } catch (e) {
             reject(new Error(`Parsing error: ${e.message}`));
@@ -59,7 +104,7 @@ class Docker {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               resolve(expectJson && data ? JSON.parse(data) : data || null);
             } else {
-              reject(new Error(`Docker API Error: ${res.statusCode} - ${data}`));
+              reject(apiError("Docker API Error", res.statusCode, data));
             }
           } catch (e) {
             reject(new Error(`Parsing error: ${e.message}`));
@@ -88,7 +133,7 @@ class Docker {
         } else {
           let data = "";
           res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => reject(new Error(`Failed to pull image: ${res.statusCode} - ${data}`)));
+          res.on("end", () => reject(apiError("Failed to pull image", res.statusCode, data)));
         }
       });
       req.on("error", reject);
@@ -118,9 +163,44 @@ class Docker {
         });
         stream.on("error", (err) => onFinished(err, allOutput));
       },
+      // Splits a multiplexed attach/exec/logs stream (non-TTY) into stdout and stderr
+      demuxStream(stream, stdout, stderr) {
+        stream.pipe(new FrameDecoder()).on("data", ({ stream: type, data }) => {
+          (type === "stderr" ? stderr : stdout).write(data);
+        });
+      },
     };
   }
 
+  /**
+   * Performs a request that Docker answers by hijacking the connection (`Upgrade: tcp`),
+   * as attach and exec start do.
+   * @returns {Promise<import("net").Socket>} The raw connection: writes go to the
+   *   process' stdin, reads are its output (multiplexed unless it has a TTY).
+   */
+  async _hijack(path, body = null) {
+    const version = await this._getApiVersion();
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        socketPath: this.socketPath,
+        path: `/v${version}${path}`,
+        method: "POST",
+        headers: { "Content-Type": "application/json", Connection: "Upgrade", Upgrade: "tcp" },
+      });
+      req.on("upgrade", (res, socket, head) => {
+        if (head && head.length) socket.unshift(head);
+        resolve(socket);
+      });
+      req.on("response", (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => reject(apiError("Docker API Error", res.statusCode, data)));
+      });
+      req.on("error", reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+  }
+
   async createContainer(config) {
     const name = config.name;
     delete config.name;
@@ -150,6 +230,126 @@ class Docker {
   async info() { return this._request("GET", "/info"); }
   async version() { return this._request("GET", "/version"); }
 
+  /**
+   * Opens the raw `/events` stream (one JSON object per line).
+   * @param {object} [options]
+   * @param {object} [options.filters] - Docker event filters, e.g. `{ type: ["container"], event: ["die"] }`.
+   * @param {number} [options.since] - Unix timestamp (seconds) to replay events from.
+   * @returns {Promise<import("http").IncomingMessage>}
+   */
+  async eventStream(options = {}) {
+    const qs = new URLSearchParams();
+    if (options.filters) qs.set("filters", JSON.stringify(options.filters));
+    if (options.since !== undefined) qs.set("since", String(options.since));
+    const version = await this._getApiVersion();
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        socketPath: this.socketPath,
+        path: `/v${version}/events?${qs.toString()}`,
+        method: "GET"
+      }, (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res);
+        else {
+          let data = "";
+          res.on("data", chunk => data += chunk);
+          res.on("end", () => reject(apiError("Events error", res.statusCode, data)));
+        }
+      });
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  /**
+   * Subscribes to Docker events. The returned emitter reconnects by itself when the
+   * stream drops, replaying what was missed, and emits:
+   * - "event" and the action name ("start", "die", "oom", "health_status", "destroy", ...)
+   *   with the parsed event, extended with `id`, `name`, `action` and, for exits, `exitCode`;
+   * - "connect" whenever the stream is (re)established and "disconnect" with the error
+   *   when it is lost.
+   * Call `close()` on the emitter to stop it.
+   * @param {object} [options]
+   * @param {object} [options.filters] - Docker event filters. Defaults to the container
+   *   start, die, oom, health_status and destroy events.
+   * @param {number} [options.since] - Unix timestamp (seconds) to replay events from.
+   * @param {number} [options.reconnectDelay=5000] - Milliseconds between reconnect attempts.
+   * @returns {EventEmitter}
+   */
+  events(options = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const filters = options.filters || {
+      type: ["container"],
+      event: ["start", "die", "oom", "health_status", "destroy"],
+    };
+    const reconnectDelay = options.reconnectDelay || 5000;
+    let since = options.since;
+    let lastTimeNano = 0;
+    let stream = null;
+    let timer = null;
+    let closed = false;
+
+    const reconnect = (err) => {
+      stream = null;
+      if (closed) return;
+      emitter.emit("disconnect", err || new Error("Docker events stream ended"));
+      timer = setTimeout(connect, reconnectDelay);
+    };
+
+    const connect = async () => {
+      try {
+        stream = await this.eventStream({ filters, ...(since !== undefined && { since }) });
+      } catch (err) {
+        reconnect(err);
+        return;
+      }
+      if (closed) return stream.destroy();
+      emitter.emit("connect");
+
+      let pending = "";
+      stream.on("data", (chunk) => {
+        const lines = (pending + chunk.toString("utf8")).split("\n");
+        pending = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          // Replaying from `since` repeats the events of that second
+          if (event.timeNano && event.timeNano <= lastTimeNano) continue;
+          lastTimeNano = event.timeNano || lastTimeNano;
+          since = event.time;
+
+          const action = (event.Action || event.status || "").split(":")[0];
+          const attributes = (event.Actor && event.Actor.Attributes) || {};
+          const parsed = {
+            ...event,
+            id: (event.Actor && event.Actor.ID) || event.id,
+            name: attributes.name,
+            action,
+            ...(attributes.exitCode !== undefined && { exitCode: parseInt(attributes.exitCode, 10) }),
+          };
+          emitter.emit("event", parsed);
+          emitter.emit(action, parsed);
+        }
+      });
+      stream.on("error", () => {});
+      stream.on("close", () => reconnect());
+    };
+
+    emitter.close = () => {
+      closed = true;
+      clearTimeout(timer);
+      if (stream) stream.destroy();
+    };
+
+    connect();
+    return emitter;
+  }
+
   getContainer(containerId) { return new Container(this, containerId); }
 }
 
@@ -190,6 +390,10 @@ class Container {
     return this.docker._request("POST", path, null, false);
   }
 
+  async wait() {
+    return this.docker._request("POST", `/containers/${this.id}/wait`);
+  }
+
   async pause() {
     return this.docker._request("POST", `/containers/${this.id}/pause`, null, false);
   }
@@ -220,7 +424,7 @@ class Container {
         else {
           let data = "";
           res.on("data", chunk => data += chunk);
-          res.on("end", () => reject(new Error(`Stats error: ${res.statusCode} - ${data}`)));
+          res.on("end", () => reject(apiError("Stats error", res.statusCode, data)));
         }
       });
       req.on("error", reject);
@@ -228,14 +432,26 @@ class Container {
     });
   }
 
+  /**
+   * Opens the raw log stream of the container.
+   * @param {object} [options]
+   * @param {boolean} [options.follow] - Keep the stream open for new output.
+   * @param {number|"all"} [options.tail] - Only the last N lines.
+   * @param {number} [options.since] - Unix timestamp (seconds) to start from.
+   * @param {number} [options.until] - Unix timestamp (seconds) to stop at.
+   * @param {boolean} [options.timestamps] - Prefix every line with its RFC 3339 timestamp.
+   */
   async logs(options = {}) {
-    const qs = new URLSearchParams({
+    const params = new URLSearchParams({
       follow: options.follow ? "1" : "0",
       stdout: options.stdout !== false ? "1" : "0",
       stderr: options.stderr !== false ? "1" : "0",
       tail: options.tail !== undefined ? String(options.tail) : "all",
       timestamps: options.timestamps ? "1" : "0"
-    }).toString();
+    });
+    if (options.since !== undefined) params.set("since", String(options.since));
+    if (options.until !== undefined) params.set("until", String(options.until));
+    const qs = params.toString();
     const version = await this.docker._getApiVersion();
     return new Promise((resolve, reject) => {
       const req = http.request({
@@ -247,7 +463,7 @@ class Container {
         else {
           let data = "";
           res.on("data", chunk => data += chunk);
-          res.on("end", () => reject(new Error(`Logs error: ${res.statusCode} - ${data}`)));
+          res.on("end", () => reject(apiError("Logs error", res.statusCode, data)));
         }
       });
       req.on("error", reject);
@@ -255,6 +471,26 @@ class Container {
     });
   }
 
+  /**
+   * Returns the decoder matching the container's output format: FrameDecoder for
+   * multiplexed output, TtyDecoder when the container has a TTY.
+   * @returns {Promise<FrameDecoder|TtyDecoder>}
+   */
+  async createOutputDecoder() {
+    const info = await this.inspect();
+    return info.Config && info.Config.Tty ? new TtyDecoder() : new FrameDecoder();
+  }
+
+  /**
+   * Same as logs(), but decoded: emits `{ stream: "stdout"|"stderr", data: Buffer }`.
+   * Destroying the returned stream closes the underlying request.
+   */
+  async decodedLogs(options = {}) {
+    const decoder = await this.createOutputDecoder();
+    const raw = await this.logs(options);
+    return pipeline(raw, decoder, () => {});
+  }
+
   async exec(options) {
     const response = await this.docker._request("POST", `/containers/${this.id}/exec`, options);
     if (!response?.Id) {
@@ -263,30 +499,26 @@ class Container {
     return new Exec(this.docker, response.Id);
   }
 
+  /**
+   * Attaches to the main process of the container.
+   * @param {object} [options]
+   * @param {boolean} [options.stdin] - Forward writes to the process' stdin.
+   * @param {boolean} [options.logs] - Replay the existing output first.
+   * @returns {Promise<import("net").Socket>} A duplex stream; see Docker#_hijack.
+   */
   async attach(options = {}) {
     const qs = new URLSearchParams({
       stream: "1",
-      stdout: "1",
-      stderr: "1",
-      stdin: options.stdin ? "1" : "0"
+      stdout: options.stdout !== false ? "1" : "0",
+      stderr: options.stderr !== false ? "1" : "0",
+      stdin: options.stdin ? "1" : "0",
+      logs: options.logs ? "1" : "0"
     }).toString();
-    const version = await this.docker._getApiVersion();
-    return new Promise((resolve, reject) => {
-      const req = http.request({
-        socketPath: this.docker.socketPath,
-        path: `/v${version}/containers/${this.id}/attach?${qs}`,
-        method: "GET"
-      }, (res) => {
-        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res);
-        else {
-          let data = "";
-          res.on("data", chunk => data += chunk);
-          res.on("end", () => reject(new Error(`Attach error: ${res.statusCode} - ${data}`)));
-        }
-      });
-      req.on("error", reject);
-      req.end();
-    });
+    return this.docker._hijack(`/containers/${this.id}/attach?${qs}`);
+  }
+
+  async resize(options = {}) {
+    return this.docker._request("POST", `/containers/${this.id}/resize?h=${options.h}&w=${options.w}`, null, false);
   }
 }
 
@@ -296,8 +528,20 @@ class Exec {
     this.id = id;
   }
 
+  /**
+   * Starts the exec. Detached execs return once started; otherwise the hijacked
+   * connection is returned (see Docker#_hijack).
+   * @param {object} [options] - `{ Detach, Tty }`.
+   */
   async start(options = {}) {
-    return this.docker._request("POST", `/exec/${this.id}/start`, options, false);
+    if (options.Detach) {
+      return this.docker._request("POST", `/exec/${this.id}/start`, options, false);
+    }
+    return this.docker._hijack(`/exec/${this.id}/start`, { Detach: false, Tty: Boolean(options.Tty) });
+  }
+
+  async resize(options = {}) {
+    return this.docker._request("POST", `/exec/${this.id}/resize?h=${options.h}&w=${options.w}`, null, false);
   }
 
   async inspect() {
@@ -305,4 +549,7 @@ class Exec {
   }
 }
 
+Docker.FrameDecoder = FrameDecoder;
+Docker.TtyDecoder = TtyDecoder;
+
 module.exports = Docker;
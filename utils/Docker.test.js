@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { FrameDecoder, TtyDecoder } = require("./Docker");
+
+const frame = (type, text) => {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header[0] = type;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+};
+
+// Writes the chunks one by one and resolves with what the decoder emitted, as strings
+const decode = (decoder, chunks) =>
+  new Promise((resolve, reject) => {
+    const output = [];
+    decoder.on("data", ({ stream, data }) => output.push([stream, data.toString()]));
+    decoder.on("end", () => resolve(output));
+    decoder.on("error", reject);
+    for (const chunk of chunks) decoder.write(chunk);
+    decoder.end();
+  });
+
+test("FrameDecoder reads a header split across chunks", async () => {
+  const data = frame(1, "hello");
+  const output = await decode(new FrameDecoder(), [data.subarray(0, 3), data.subarray(3, 6), data.subarray(6)]);
+  assert.deepStrictEqual(output, [["stdout", "hello"]]);
+});
+
+test("FrameDecoder reads a payload split across chunks", async () => {
+  const data = frame(2, "something went wrong");
+  const output = await decode(new FrameDecoder(), [data.subarray(0, 12), data.subarray(12, 20), data.subarray(20)]);
+  assert.deepStrictEqual(output, [["stderr", "something went wrong"]]);
+});
+
+test("FrameDecoder reads several frames from one chunk", async () => {
+  const data = Buffer.concat([frame(1, "a"), frame(2, "bc"), frame(0, "d"), frame(1, "ef")]);
+  const output = await decode(new FrameDecoder(), [data.subarray(0, data.length - 1), data.subarray(data.length - 1)]);
+  assert.deepStrictEqual(output, [["stdout", "a"], ["stderr", "bc"], ["stdin", "d"], ["stdout", "ef"]]);
+});
+
+test("FrameDecoder emits zero-length frames and continues after them", async () => {
+  const output = await decode(new FrameDecoder(), [Buffer.concat([frame(1, ""), frame(1, "next")])]);
+  assert.deepStrictEqual(output, [["stdout", ""], ["stdout", "next"]]);
+});
+
+test("FrameDecoder reports unknown stream types as stdout", async () => {
+  assert.deepStrictEqual(await decode(new FrameDecoder(), [frame(7, "x")]), [["stdout", "x"]]);
+});
+
+test("TtyDecoder passes raw chunks through as stdout", async () => {
+  const raw = frame(2, "not a frame");
+  const output = await decode(new TtyDecoder(), [Buffer.from("\x1b[32mgreen\x1b[0m\r\n"), raw]);
+  assert.deepStrictEqual(output, [["stdout", "\x1b[32mgreen\x1b[0m\r\n"], ["stdout", raw.toString()]]);
+});
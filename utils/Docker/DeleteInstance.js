@@ -1,6 +1,8 @@
 const Docker = require("../Docker");
 const fs = require("fs");
 const path = require("path");
+const { markStopping, removeState } = require("../../handlers/states");
+const instanceConfig = require("../../handlers/instanceConfig");
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
 /**
@@ -22,8 +24,11 @@ const deleteInstance = async (req, res) => {
     const nameWithoutSlash = Name.slice(0, 1) === "/" ? Name.slice(1) : Name;
     const volumeDir = path.join(__dirname, "../../volumes", nameWithoutSlash);
 
+    await markStopping(nameWithoutSlash);
     await container.remove({ force: true });
     fs.rmSync(volumeDir, { force: true, recursive: true });
+    await removeState(nameWithoutSlash);
+    await instanceConfig.remove(nameWithoutSlash);
 
     res.json({
       message: "Container and associated volume deleted successfully",
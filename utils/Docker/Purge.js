@@ -1,6 +1,8 @@
 const Docker = require("../Docker");
 const fs = require("fs");
 const path = require("path");
+const { markStopping, removeState } = require("../../handlers/states");
+const instanceConfig = require("../../handlers/instanceConfig");
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
 /**
@@ -23,7 +25,10 @@ const purgeAllInstances = async (req, res) => {
         const Name = info.Name;
         const nameWithoutSlash = Name.startsWith("/") ? Name.slice(1) : Name;
         const volumeDir = path.join(__dirname, "../../volumes", nameWithoutSlash);
+        await markStopping(nameWithoutSlash);
         await container.remove({ force: true });
+        await removeState(nameWithoutSlash);
+        await instanceConfig.remove(nameWithoutSlash);
         if (fs.existsSync(volumeDir)) {
           fs.rmSync(volumeDir, { recursive: true, force: true });
           console.log(`Deleted volume directory: ${volumeDir}`);
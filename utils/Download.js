@@ -0,0 +1,237 @@
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const { config } = require("../handlers/config");
+const { createLogger } = require("../handlers/logger");
+const log = createLogger();
+
+/**
+ * Determines whether a host must be reached through the configured proxy.
+ * @param {string} hostname - The target host.
+ * @returns {URL|null} The proxy URL, or null for a direct connection.
+ */
+function proxyFor(hostname) {
+  if (!config.download.proxy) return null;
+  const bypass = config.download.noProxy.some(
+    (suffix) => hostname === suffix || hostname.endsWith(`.${suffix.replace(/^\./, "")}`)
+  );
+  return bypass ? null : new URL(config.download.proxy);
+}
+
+function proxyHeaders(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { "Proxy-Authorization": `Basic ${Buffer.from(credentials).toString("base64")}` };
+}
+
+// The port of the proxy, defaulting by its own scheme rather than the target's
+const proxyPort = (proxy) => proxy.port || (proxy.protocol === "https:" ? 443 : 80);
+
+/**
+ * Opens a CONNECT tunnel through an HTTP proxy. Gives up after `download.connectTimeout`
+ * seconds when the proxy does not answer.
+ * @returns {Promise<import("net").Socket>} The raw tunnelled socket.
+ */
+function openTunnel(proxy, target) {
+  return new Promise((resolve, reject) => {
+    const lib = proxy.protocol === "https:" ? https : http;
+    const req = lib.request({
+      host: proxy.hostname,
+      port: proxyPort(proxy),
+      method: "CONNECT",
+      path: `${target.hostname}:${target.port || 443}`,
+      headers: { Host: `${target.hostname}:${target.port || 443}`, ...proxyHeaders(proxy) },
+    });
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Timed out connecting through proxy ${proxy.host} after ${config.download.connectTimeout}s`));
+    }, config.download.connectTimeout * 1000);
+
+    req.once("connect", (res, socket) => {
+      clearTimeout(timer);
+      if (res.statusCode === 200) resolve(socket);
+      else {
+        socket.destroy();
+        reject(new Error(`Proxy CONNECT failed with HTTP status code ${res.statusCode}`));
+      }
+    });
+    req.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end();
+  });
+}
+
+/**
+ * Issues a single GET request (no redirect handling), honouring the proxy and timeouts.
+ * @param {URL} target - The URL to fetch.
+ * @returns {Promise<import("http").IncomingMessage>}
+ */
+async function get(target) {
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw new Error(`Unsupported protocol ${target.protocol} in ${target.href}`);
+  }
+
+  const proxy = proxyFor(target.hostname);
+  let options;
+  let lib = target.protocol === "https:" ? https : http;
+
+  if (proxy && target.protocol === "http:") {
+    // Plain HTTP goes to the proxy with the absolute URL as the request path
+    options = {
+      host: proxy.hostname,
+      port: proxyPort(proxy),
+      path: target.href,
+      headers: { Host: target.host, ...proxyHeaders(proxy) },
+    };
+    lib = proxy.protocol === "https:" ? https : http;
+  } else {
+    options = {
+      host: target.hostname,
+      port: target.port || (target.protocol === "https:" ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      headers: {},
+    };
+    if (proxy) {
+      const socket = await openTunnel(proxy, target);
+      options.createConnection = () => tls.connect({ socket, servername: target.hostname });
+    }
+  }
+
+  options.headers["User-Agent"] = `ks-wings/${config.version}`;
+
+  return new Promise((resolve, reject) => {
+    const req = lib.get(options);
+    let response = null;
+
+    const connectTimer = setTimeout(() => {
+      req.destroy(new Error(`Timed out connecting to ${target.host} after ${config.download.connectTimeout}s`));
+    }, config.download.connectTimeout * 1000);
+
+    req.setTimeout(config.download.idleTimeout * 1000, () => {
+      const err = new Error(`No data from ${target.host} for ${config.download.idleTimeout}s`);
+      req.destroy(err);
+      if (response) response.destroy(err);
+    });
+
+    req.on("response", (res) => {
+      clearTimeout(connectTimer);
+      response = res;
+      resolve(res);
+    });
+    req.on("error", (err) => {
+      clearTimeout(connectTimer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Performs a GET request and follows redirects up to the configured hop limit.
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<{response: import("http").IncomingMessage, url: string}>}
+ *   The final response and the URL it came from.
+ */
+async function request(url) {
+  let target = new URL(url);
+
+  for (let hops = 0; ; hops++) {
+    const response = await get(target);
+    const { statusCode, headers } = response;
+
+    if (![301, 302, 303, 307, 308].includes(statusCode) || !headers.location) {
+      return { response, url: target.href };
+    }
+
+    response.resume();
+    if (hops >= config.download.maxRedirects) {
+      throw new Error(`Too many redirects (more than ${config.download.maxRedirects}) for ${url}`);
+    }
+    target = new URL(headers.location, target);
+  }
+}
+
+/**
+ * Downloads a URL to a file, retrying failed attempts. When a checksum or size is
+ * given the file is verified after the stream completes and a mismatch counts as a
+ * failed attempt.
+ * @param {string} url - The file URL (http or https).
+ * @param {string} filePath - Destination path.
+ * @param {object} [options]
+ * @param {string} [options.sha256] - Expected SHA-256 (hex).
+ * @param {string} [options.sha1] - Expected SHA-1 (hex).
+ * @param {number} [options.size] - Expected size in bytes.
+ * @param {number} [options.maxAttempts=3] - Attempts before giving up.
+ * @param {function(object): void} [options.onResponse] - Called with `{ url, statusCode, attempt }` for every final response.
+ * @param {function(object): void} [options.onProgress] - Called with `{ filename, received, total }` while streaming.
+ * @returns {Promise<{url: string, received: number}>} The URL the file came from and its size.
+ */
+async function downloadFile(url, filePath, { sha256, sha1, size, maxAttempts = 3, onResponse, onProgress } = {}) {
+  const filename = path.basename(filePath);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const { response, url: finalUrl } = await request(url);
+      if (onResponse) onResponse({ url: finalUrl, statusCode: response.statusCode, attempt });
+
+      if (response.statusCode !== 200) response.resume();
+
+      if (response.statusCode === 522) {
+        log.info(`Received status code 522. Waiting for 60 seconds before retrying...`);
+        lastError = new Error(`HTTP status code 522 on the URL ${finalUrl}`);
+        await new Promise((resolve) => setTimeout(resolve, 60000));
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        throw new Error(`Failed to download ${filename}: HTTP status code ${response.statusCode} on the URL ${finalUrl}`);
+      }
+
+      const total = parseInt(response.headers["content-length"], 10) || null;
+      const hashes = {};
+      if (sha256) hashes.sha256 = crypto.createHash("sha256");
+      if (sha1) hashes.sha1 = crypto.createHash("sha1");
+      let received = 0;
+      let lastReport = 0;
+      response.on("data", (chunk) => {
+        received += chunk.length;
+        Object.values(hashes).forEach((hash) => hash.update(chunk));
+        const now = Date.now();
+        if (onProgress && now - lastReport >= 500) {
+          lastReport = now;
+          onProgress({ filename, received, total });
+        }
+      });
+      if (onProgress) response.on("end", () => onProgress({ filename, received, total }));
+
+      await pipeline(response, fs.createWriteStream(filePath));
+
+      if (size !== undefined && size !== null && received !== Number(size)) {
+        throw new Error(`Size mismatch for ${filename}: expected ${size} bytes, got ${received}`);
+      }
+      for (const [algorithm, expected] of Object.entries({ sha256, sha1 })) {
+        if (!expected) continue;
+        const actual = hashes[algorithm].digest("hex");
+        if (actual !== String(expected).toLowerCase()) {
+          throw new Error(`Checksum mismatch for ${filename}: expected ${algorithm} ${expected}, got ${actual}`);
+        }
+      }
+
+      log.info(`Downloaded ${filename} successfully.`);
+      return { url: finalUrl, received };
+    } catch (err) {
+      lastError = err;
+      log.error(`Attempt ${attempt} failed: ${err.message}`);
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  throw new Error(`Failed to download ${filename} after ${maxAttempts} attempts: ${lastError.message}`);
+}
+
+module.exports = { request, downloadFile };
@@ -0,0 +1,98 @@
+const fs = require("fs").promises;
+const { parseTime } = require("./Time");
+
+class PreconditionError extends Error {
+  constructor(message, etag) {
+    super(message);
+    this.name = "PreconditionError";
+    this.statusCode = 412;
+    this.etag = etag;
+  }
+}
+
+/**
+ * Returns the entity tag of a file version, derived from its modification time and size.
+ * @param {fs.Stats} stats - The stats of the file.
+ * @returns {string} The quoted tag, e.g. `"lx2k9f3a-4d2"`.
+ */
+const etagOf = (stats) => `"${Math.round(stats.mtimeMs * 1000).toString(36)}-${stats.size.toString(36)}"`;
+
+const statOrNull = async (filePath) => {
+  try {
+    return await fs.stat(filePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+// One entry of an If-Match / If-None-Match header: an entity tag, or the modification
+// time as listed by the file browser (ISO 8601 or Unix seconds)
+const matches = (value, stats) => {
+  if (value === "*") return true;
+  const etag = etagOf(stats);
+  if (value.replace(/^W\//, "") === etag || `"${value}"` === etag) return true;
+  if (value.startsWith('"') || value.startsWith("W/")) return false;
+
+  const time = parseTime(value);
+  if (!time) return false;
+  // Unix seconds carry no milliseconds
+  if (/^\d+$/.test(value)) return Math.floor(stats.mtimeMs / 1000) === Number(value);
+  return Math.floor(stats.mtimeMs) === time.getTime();
+};
+
+const entries = (header) =>
+  String(header)
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * Checks the `If-Match` and `If-None-Match` request headers against the file on disk.
+ * `If-Match` takes the etag returned by a previous read or write, or the file's mtime;
+ * `If-None-Match: *` refuses to replace an existing file.
+ * @param {string} filePath - The file about to be written.
+ * @param {object} headers - The request headers.
+ * @returns {Promise<void>}
+ * @throws {PreconditionError} When the file changed (or exists, or is missing) contrary to the headers.
+ */
+async function checkPreconditions(filePath, headers) {
+  const ifMatch = headers["if-match"];
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifMatch === undefined && ifNoneMatch === undefined) return;
+
+  const stats = await statOrNull(filePath);
+  const etag = stats ? etagOf(stats) : undefined;
+
+  if (ifMatch !== undefined) {
+    if (!stats) throw new PreconditionError("File does not exist", etag);
+    if (!entries(ifMatch).some((value) => matches(value, stats))) {
+      throw new PreconditionError("File was changed since it was loaded", etag);
+    }
+  }
+  if (ifNoneMatch !== undefined && stats && entries(ifNoneMatch).some((value) => matches(value, stats))) {
+    throw new PreconditionError("File already exists", etag);
+  }
+}
+
+// Writes of the same file are chained, so two saves cannot both pass the same precondition
+const locks = new Map();
+
+/**
+ * Runs `task` once every earlier task for the same file has finished.
+ * @param {string} filePath - The file.
+ * @param {function(): Promise<*>} task - The check and write.
+ * @returns {Promise<*>} What `task` resolves to.
+ */
+function exclusive(filePath, task) {
+  const previous = locks.get(filePath) || Promise.resolve();
+  const result = previous.then(task);
+  const done = result.catch(() => {});
+  locks.set(filePath, done);
+  done.then(() => {
+    if (locks.get(filePath) === done) locks.delete(filePath);
+  });
+  return result;
+}
+
+module.exports = { PreconditionError, etagOf, checkPreconditions, exclusive };
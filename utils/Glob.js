@@ -0,0 +1,52 @@
+/**
+ * Converts a glob pattern to a regular expression matching paths relative to a volume root.
+ * Supports `*` (anything but `/`), `?` (one character but `/`) and `**` (any number of
+ * directories). As a whole path segment `**` also stands for no directory at all, so
+ * `plugins/**` followed by `/config.yml` covers `plugins/config.yml`. A trailing `/**`
+ * also matches the directory itself, so `world/**` covers `world`.
+ * @param {string} pattern - The glob pattern, using `/` as separator.
+ * @returns {RegExp} The anchored regular expression.
+ */
+function globToRegExp(pattern) {
+  const glob = pattern.replace(/\\/g, "/").replace(/^\.?\/+/, "").replace(/\/+$/, "");
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const atStart = i === 0;
+      const atEnd = i + 2 === glob.length;
+      // `**/` at the start or after a `/` stands for zero or more whole directories
+      if ((atStart || source.endsWith("/")) && glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else if (atEnd && source.endsWith("/")) {
+        source = source.slice(0, -1) + "(?:/.*)?";
+        i += 1;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks a relative path against a list of glob patterns.
+ * @param {string} relativePath - Path relative to the volume root, using `/` as separator.
+ * @param {string[]} patterns - Glob patterns.
+ * @returns {boolean} True if any pattern matches.
+ */
+function matchesAny(relativePath, patterns) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(relativePath));
+}
+
+module.exports = { globToRegExp, matchesAny };
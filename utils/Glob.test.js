@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { globToRegExp, matchesAny } = require("./Glob");
+
+test("a middle ** matches zero, one and many directories", () => {
+  const pattern = globToRegExp("plugins/**/config.yml");
+  assert.ok(pattern.test("plugins/config.yml"));
+  assert.ok(pattern.test("plugins/essentials/config.yml"));
+  assert.ok(pattern.test("plugins/a/b/c/config.yml"));
+  assert.ok(!pattern.test("plugins/config.yml.bak"));
+  assert.ok(!pattern.test("pluginsconfig.yml"));
+  assert.ok(!pattern.test("other/plugins/config.yml"));
+});
+
+test("a leading ** matches at any depth, including the root", () => {
+  const pattern = globToRegExp("**/server.properties");
+  assert.ok(pattern.test("server.properties"));
+  assert.ok(pattern.test("a/server.properties"));
+  assert.ok(pattern.test("a/b/server.properties"));
+  assert.ok(!pattern.test("a/b/server.properties.old"));
+});
+
+test("a trailing /** matches the directory itself and everything in it", () => {
+  const pattern = globToRegExp("world/**");
+  assert.ok(pattern.test("world"));
+  assert.ok(pattern.test("world/level.dat"));
+  assert.ok(pattern.test("world/region/r.0.0.mca"));
+  assert.ok(!pattern.test("world_nether"));
+});
+
+test("* and ? stay within one path segment", () => {
+  assert.ok(globToRegExp("*.jar").test("server.jar"));
+  assert.ok(!globToRegExp("*.jar").test("libs/server.jar"));
+  assert.ok(globToRegExp("log?.txt").test("log1.txt"));
+  assert.ok(!globToRegExp("log?.txt").test("log/.txt"));
+});
+
+test("patterns are normalised and regex characters are literal", () => {
+  assert.ok(globToRegExp("./config/").test("config"));
+  assert.ok(globToRegExp("mods\\a.jar").test("mods/a.jar"));
+  assert.ok(globToRegExp("a+b(1).txt").test("a+b(1).txt"));
+  assert.ok(!globToRegExp("a.txt").test("abtxt"));
+});
+
+test("matchesAny checks every pattern", () => {
+  assert.ok(matchesAny("eula.txt", ["world/**", "eula.txt"]));
+  assert.ok(!matchesAny("server.jar", ["world/**", "eula.txt"]));
+  assert.ok(!matchesAny("server.jar", []));
+});
@@ -1,18 +1,27 @@
 const path = require("path");
 
+class PathEscapeError extends Error {
+  constructor() {
+    super("Attempting to access outside of the volume");
+    this.name = "PathEscapeError";
+  }
+}
+
 /**
  * Ensures the target path is within the specified base directory, preventing directory traversal attacks.
  * @param {string} base - The base directory path.
  * @param {string} target - The target directory or file path.
  * @returns {string} The absolute path that is confirmed to be within the base directory.
- * @throws {Error} If the resolved path attempts to escape the base directory.
+ * @throws {PathEscapeError} If the resolved path attempts to escape the base directory.
  */
 function safePath(base, target) {
-  const fullPath = path.resolve(base, target);
-  if (!fullPath.startsWith(base)) {
-    throw new Error("Attempting to access outside of the volume");
+  const root = path.resolve(base);
+  const fullPath = path.resolve(root, target);
+  // Compared with the separator, so /volumes/a10 does not pass as inside /volumes/a1
+  if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+    throw new PathEscapeError();
   }
   return fullPath;
 }
 
-module.exports = { safePath };
+module.exports = { safePath, PathEscapeError };
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { safePath, PathEscapeError } = require("./SafePath");
+
+const volume = path.resolve("/srv/volumes/a1");
+
+test("safePath resolves paths inside the base", () => {
+  assert.strictEqual(safePath(volume, "server.properties"), path.join(volume, "server.properties"));
+  assert.strictEqual(safePath(volume, "plugins/../eula.txt"), path.join(volume, "eula.txt"));
+  assert.strictEqual(safePath(volume, ""), volume);
+});
+
+test("safePath rejects paths leaving the base", () => {
+  assert.throws(() => safePath(volume, "../../etc/cron.d/x"), PathEscapeError);
+  assert.throws(() => safePath(volume, "/etc/passwd"), PathEscapeError);
+  // A sibling sharing the prefix is outside as well
+  assert.throws(() => safePath(volume, "../a10/file"), PathEscapeError);
+});
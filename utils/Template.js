@@ -0,0 +1,158 @@
+/**
+ * Template variables.
+ *
+ * Placeholders are written `{{key}}` or `${key}`, optionally with a fallback used when the
+ * variable is unset or empty: `{{key|default}}`. A placeholder preceded by a backslash
+ * (`\{{key}}`) is emitted literally, without the backslash. Placeholders of unknown
+ * variables without a fallback are left untouched. In shell code (`{ shell: true }`)
+ * substituted values are quoted, so a value is always a single word and never a command.
+ */
+
+const placeholder = /(\\?)(?:\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}|\$\{\s*([\w.-]+)\s*(?:\|([^}]*))?\})/g;
+
+const types = ["string", "int", "number", "port", "bool", "enum", "regex"];
+
+// Words a POSIX shell takes literally without quotes
+const shellSafe = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Quotes a value for a POSIX shell. Plain words are left as they are.
+ * @param {*} value - The value.
+ * @returns {string} The quoted word.
+ */
+const shellQuote = (value) => {
+  const text = String(value);
+  return shellSafe.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`;
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Substitutes variables into a string.
+ * @param {string} template - The text containing placeholders.
+ * @param {object} variables - Variable values by name.
+ * @param {object} [options]
+ * @param {boolean} [options.shell=false] - The text is shell code: quote what is substituted.
+ * @returns {string} The rendered text.
+ */
+function render(template, variables = {}, { shell = false } = {}) {
+  if (typeof template !== "string") return template;
+  if (!isObject(variables)) variables = {};
+  const substitute = shell ? shellQuote : String;
+
+  return template.replace(placeholder, (match, escaped, braceKey, braceDefault, dollarKey, dollarDefault) => {
+    if (escaped) return match.slice(1);
+
+    const key = braceKey || dollarKey;
+    const fallback = braceKey ? braceDefault : dollarDefault;
+    const value = variables[key];
+
+    if (value !== undefined && value !== null && value !== "") return substitute(value);
+    if (fallback !== undefined) return substitute(fallback);
+    return match;
+  });
+}
+
+function coerce(name, definition, raw) {
+  const value = String(raw);
+
+  switch (definition.type || "string") {
+    case "int": {
+      if (!/^-?\d+$/.test(value.trim())) return { error: `${name} must be an integer` };
+      const number = parseInt(value, 10);
+      if (definition.min !== undefined && number < definition.min) {
+        return { error: `${name} must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        return { error: `${name} must be at most ${definition.max}` };
+      }
+      return { value: String(number) };
+    }
+    case "number": {
+      if (!/^-?\d+(\.\d+)?$/.test(value.trim())) return { error: `${name} must be a number` };
+      const number = Number(value);
+      if (definition.min !== undefined && number < definition.min) {
+        return { error: `${name} must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        return { error: `${name} must be at most ${definition.max}` };
+      }
+      return { value: String(number) };
+    }
+    case "port": {
+      const number = /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN;
+      if (!(number >= 1 && number <= 65535)) return { error: `${name} must be a port between 1 and 65535` };
+      return { value: String(number) };
+    }
+    case "bool": {
+      const normalized = value.trim().toLowerCase();
+      if (["true", "1", "yes", "on"].includes(normalized)) return { value: "true" };
+      if (["false", "0", "no", "off"].includes(normalized)) return { value: "false" };
+      return { error: `${name} must be a boolean` };
+    }
+    case "enum": {
+      const options = (definition.options || []).map(String);
+      if (!options.includes(value)) return { error: `${name} must be one of: ${options.join(", ")}` };
+      return { value };
+    }
+    case "regex": {
+      let pattern;
+      try {
+        pattern = new RegExp(`^(?:${definition.pattern})$`);
+      } catch (err) {
+        return { error: `${name} has an invalid pattern: ${err.message}` };
+      }
+      if (!pattern.test(value)) return { error: `${name} does not match ${definition.pattern}` };
+      return { value };
+    }
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Validates variable values against their definitions and applies defaults.
+ *
+ * Definitions are keyed by variable name:
+ * `{ type: "string"|"int"|"number"|"port"|"bool"|"enum"|"regex", default, required, min, max, options, pattern }`.
+ * Numeric and boolean values are normalised, so only digits, a sign or a dot remain.
+ * Variables without a definition are passed through unchanged. Anything but an object
+ * counts as no definitions or no values.
+ *
+ * @param {object} definitions - Variable definitions by name.
+ * @param {object} values - Submitted variable values by name.
+ * @returns {{variables: object, errors: string[]}} Coerced values (as strings) and validation errors.
+ */
+function validate(definitions = {}, values = {}) {
+  if (!isObject(definitions)) definitions = {};
+  if (!isObject(values)) values = {};
+  const variables = { ...values };
+  const errors = [];
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!isObject(definition)) {
+      errors.push(`${name} has an invalid definition`);
+      continue;
+    }
+    if (definition.type && !types.includes(definition.type)) {
+      errors.push(`${name} has an unknown type "${definition.type}"`);
+      continue;
+    }
+
+    let raw = values[name];
+    if (raw === undefined || raw === null || raw === "") raw = definition.default;
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (definition.required) errors.push(`${name} is required`);
+      continue;
+    }
+
+    const result = coerce(name, definition, raw);
+    if (result.error) errors.push(result.error);
+    else variables[name] = result.value;
+  }
+
+  return { variables, errors };
+}
+
+module.exports = { render, validate, shellQuote };
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const { render, validate, shellQuote } = require("./Template");
+
+test("render substitutes both placeholder styles with fallbacks and escapes", () => {
+  const variables = { PORT: 25565, NAME: "" };
+  assert.strictEqual(render("port={{PORT}} ${ PORT }", variables), "port=25565 25565");
+  assert.strictEqual(render("{{NAME|Lobby}} {{MISSING|x}}", variables), "Lobby x");
+  assert.strictEqual(render("{{MISSING}} \\{{PORT}}", variables), "{{MISSING}} {{PORT}}");
+  assert.strictEqual(render(42, variables), 42);
+});
+
+test("render treats non-object variables as none", () => {
+  assert.strictEqual(render("{{A|1}}", null), "1");
+  assert.strictEqual(render("{{A}}", "A"), "{{A}}");
+});
+
+test("render quotes substituted values in shell code", () => {
+  const command = render("echo {{MOTD}} {{PORT}}", { MOTD: "1; rm -rf /data", PORT: "25565" }, { shell: true });
+  assert.strictEqual(command, "echo '1; rm -rf /data' 25565");
+  assert.strictEqual(render("echo {{A|a b}}", {}, { shell: true }), "echo 'a b'");
+});
+
+test("shellQuote keeps a value a single literal word", () => {
+  for (const value of ["it's", "$(id)", "`id`", "a\nb", "; rm -rf /", "", "*"]) {
+    const output = execFileSync("/bin/sh", ["-c", `printf %s ${shellQuote(value)}`], { encoding: "utf8" });
+    assert.strictEqual(output, value);
+  }
+  assert.strictEqual(shellQuote("server-1.20.jar"), "server-1.20.jar");
+});
+
+test("validate treats null or non-object definitions and values as empty", () => {
+  assert.deepStrictEqual(validate(null, null), { variables: {}, errors: [] });
+  assert.deepStrictEqual(validate("x", [1]), { variables: {}, errors: [] });
+  assert.deepStrictEqual(validate({ A: { type: "int" } }, null), { variables: {}, errors: [] });
+  assert.deepStrictEqual(validate({ A: null }, {}).errors, ["A has an invalid definition"]);
+});
+
+test("validate applies defaults and reports missing required values", () => {
+  const definitions = { MEMORY: { type: "int", default: 1024 }, EULA: { type: "bool", required: true } };
+  const { variables, errors } = validate(definitions, { EXTRA: "kept" });
+  assert.deepStrictEqual(variables, { MEMORY: "1024", EXTRA: "kept" });
+  assert.deepStrictEqual(errors, ["EULA is required"]);
+});
+
+test("validate coerces and range-checks numeric types", () => {
+  const definitions = {
+    A: { type: "int", min: 1, max: 10 },
+    B: { type: "number" },
+    P: { type: "port" },
+  };
+  assert.deepStrictEqual(validate(definitions, { A: " 5 ", B: "1.5", P: "25565" }).variables, {
+    A: "5",
+    B: "1.5",
+    P: "25565",
+  });
+  assert.deepStrictEqual(validate(definitions, { A: "11", B: "1e3", P: "0" }).errors, [
+    "A must be at most 10",
+    "B must be a number",
+    "P must be a port between 1 and 65535",
+  ]);
+});
+
+test("validate rejects shell metacharacters in numeric and boolean values", () => {
+  const definitions = { A: { type: "int" }, B: { type: "number" }, P: { type: "port" }, F: { type: "bool" } };
+  const { errors } = validate(definitions, { A: "1; id", B: "1 && id", P: "25565$(id)", F: "true;id" });
+  assert.strictEqual(errors.length, 4);
+  assert.deepStrictEqual(validate({ F: { type: "bool" } }, { F: "Yes" }).variables, { F: "true" });
+});
+
+test("validate checks enum, regex and unknown types", () => {
+  const definitions = {
+    MODE: { type: "enum", options: ["survival", "creative"] },
+    NAME: { type: "regex", pattern: "[a-z]+" },
+    BAD: { type: "regex", pattern: "(" },
+    ODD: { type: "color" },
+  };
+  const { errors } = validate(definitions, { MODE: "hardcore", NAME: "abc1", BAD: "x", ODD: "red" });
+  assert.deepStrictEqual(errors.slice(0, 2), ["MODE must be one of: survival, creative", "NAME does not match [a-z]+"]);
+  assert.match(errors[2], /^BAD has an invalid pattern/);
+  assert.strictEqual(errors[3], 'ODD has an unknown type "color"');
+});
@@ -0,0 +1,11 @@
+/**
+ * Parses a point in time given as an ISO 8601 date or a Unix timestamp in seconds.
+ * @param {string} value - The value, e.g. from a query string.
+ * @returns {Date|null} The date, or null when the value is not a valid time.
+ */
+function parseTime(value) {
+  const date = /^\d+(\.\d+)?$/.test(value) ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { parseTime };